@@ -3199,6 +3199,21 @@ function openUrlOverlay(href) {
 // Expose add method for inline onclick
 window.addBubbleUrl = addBubbleUrl;
 
+// News ticker "Send to canvas": a bubble titled with the headline, its link attached
+function addHeadlineBubble(headline) {
+  if (!headline || !headline.title) return null;
+  const x = width / 2 + (Math.random() * 2 - 1) * width / 4;
+  const y = height / 2 + (Math.random() * 2 - 1) * height / 4;
+  addIdea(x, y, headline.title, headline.summary || headline.source || '');
+  const bubble = ideas[ideas.length - 1];
+  if (headline.url && /^https?:\/\//i.test(headline.url)) {
+    bubble.urls = [{ href: headline.url, title: headline.source ? `${headline.source}: ${headline.title}` : headline.title }];
+  }
+  logger.info('📰 Headline sent to canvas:', headline.title);
+  return bubble;
+}
+window.addHeadlineBubble = addHeadlineBubble;
+
 function minimizePanel() {
   const panel = document.getElementById('panel');
   const minimizeBtn = panel.querySelector('button[onclick="minimizePanel()"]');
@@ -0,0 +1,185 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { CACHE_DIR } = require('./fetchNews');
+const { parseSearch, matchesSearch, QueryError, DEFAULT_LIMIT, MAX_LIMIT } = require('./newsQuery');
+
+// Every headline the ticker has shown, kept after it drops out of the live snapshot.
+//
+// server/cache/archive.jsonl holds one JSON entry per line; the last line for an id wins:
+//
+//   { "id", "title", "url", "source", "services": ["sports"], "firstSeen", "lastSeen",
+//     "publishedAt"?, "summary"?, "image"?, "categories"? }
+//
+// Lines are only ever appended while the server runs. A headline still on the ticker gets a
+// fresh line (with a later lastSeen) at most once per TOUCH_INTERVAL, or straight away when
+// another service shows it. Superseded lines are compacted away once they outnumber entries.
+const ARCHIVE_FILE = path.join(CACHE_DIR, 'archive.jsonl');
+const TOUCH_INTERVAL = 60 * 60 * 1000; // lastSeen is accurate to within an hour
+const ARCHIVED_DETAILS = ['publishedAt', 'summary', 'image', 'categories'];
+const DAY = 24 * 60 * 60 * 1000;
+
+class HeadlineArchive {
+    constructor(file = ARCHIVE_FILE, opts = {}) {
+        this.file = file;
+        this.touchInterval = opts.touchInterval === undefined ? TOUCH_INTERVAL : opts.touchInterval;
+        this.entries = null; // id -> latest entry, loaded on first use
+        this.lineCount = 0;
+        this.loading = null;
+        this.writing = Promise.resolve(); // appends and compactions run one at a time
+    }
+
+    load() {
+        if (!this.loading) this.loading = this.readFile();
+        return this.loading;
+    }
+
+    async readFile() {
+        const entries = new Map();
+        let content = '';
+        try {
+            content = await fs.readFile(this.file, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        let skipped = 0;
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                const entry = JSON.parse(line);
+                if (typeof entry.id === 'string') entries.set(entry.id, entry);
+                this.lineCount++;
+            } catch {
+                skipped++; // e.g. a line cut short by a crash mid-write
+            }
+        }
+        if (skipped > 0) console.warn(`⚠️ Skipped ${skipped} unreadable line(s) in ${this.file}`);
+
+        this.entries = entries;
+        return entries;
+    }
+
+    // Note what `service` is showing now; returns how many entries were added or updated
+    async record(service, headlines, now = Date.now()) {
+        const entries = await this.load();
+        const seen = new Date(now).toISOString();
+        const changed = [];
+
+        for (const headline of headlines) {
+            const existing = entries.get(headline.id);
+            let entry;
+            if (!existing) {
+                entry = {
+                    id: headline.id,
+                    title: headline.title,
+                    url: headline.url,
+                    source: headline.source,
+                    services: [service],
+                    firstSeen: seen,
+                    lastSeen: seen
+                };
+                for (const field of ARCHIVED_DETAILS) {
+                    if (headline[field] !== undefined) entry[field] = headline[field];
+                }
+            } else {
+                const newService = !existing.services.includes(service);
+                if (!newService && now - Date.parse(existing.lastSeen) < this.touchInterval) continue;
+                entry = {
+                    ...existing,
+                    services: newService ? [...existing.services, service] : existing.services,
+                    lastSeen: seen
+                };
+            }
+            entries.set(entry.id, entry);
+            changed.push(entry);
+        }
+
+        if (changed.length > 0) {
+            await this.enqueue(() => this.append(changed));
+        }
+        return changed.length;
+    }
+
+    enqueue(task) {
+        const run = this.writing.then(task);
+        this.writing = run.catch(() => {});
+        return run;
+    }
+
+    async append(changed) {
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.appendFile(this.file, changed.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+        this.lineCount += changed.length;
+
+        if (this.lineCount > 2 * this.entries.size + 1000) {
+            await this.compact();
+        }
+    }
+
+    // Rewrite the file with one line per entry, in first-seen order
+    async compact() {
+        const entries = [...this.entries.values()].sort((a, b) => a.firstSeen.localeCompare(b.firstSeen));
+        const tmpFile = `${this.file}.${process.pid}.tmp`;
+        await fs.writeFile(tmpFile, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+        await fs.rename(tmpFile, this.file);
+        console.log(`🗜️ Compacted headline archive: ${this.lineCount} lines -> ${entries.length}`);
+        this.lineCount = entries.length;
+    }
+
+    // Entries on the ticker at any point in [from, to], newest first
+    async search(options) {
+        const entries = await this.load();
+        const matching = [...entries.values()]
+            .filter(entry =>
+                (!options.service || entry.services.includes(options.service)) &&
+                (options.from === null || Date.parse(entry.lastSeen) >= options.from) &&
+                (options.to === null || Date.parse(entry.firstSeen) <= options.to) &&
+                matchesSearch(entry, options.search))
+            .sort((a, b) => b.firstSeen.localeCompare(a.firstSeen));
+
+        return {
+            total: matching.length,
+            items: matching.slice(options.offset, options.offset + options.limit)
+        };
+    }
+}
+
+// `2025-08-16` covers that whole (UTC) day: from its start, or to its last millisecond
+function parseBound(value, name, endOfDay) {
+    if (value === undefined || value === '') return null;
+    const text = String(value);
+    const ts = /^\d+$/.test(text) ? Number(text) : Date.parse(text);
+    if (isNaN(ts)) throw new QueryError(`${name} must be a date, ISO timestamp or epoch-ms`);
+    return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(text) ? ts + DAY - 1 : ts;
+}
+
+// Query options for /api/archive:
+//   q=<search>       same syntax as /api/news (word prefixes, "phrases", -exclusions)
+//   from=, to=       dates or timestamps; a headline matches if it was showing at any point between
+//   service=<id>     only headlines shown on that service
+//   limit=, offset=  paging (default 50, at most 200)
+function parseArchiveQuery(query = {}) {
+    let limit = DEFAULT_LIMIT;
+    if (query.limit !== undefined) {
+        limit = parseInt(query.limit, 10);
+        if (!(limit > 0)) throw new QueryError('limit must be a positive integer');
+        limit = Math.min(limit, MAX_LIMIT);
+    }
+    const offset = query.offset === undefined ? 0 : parseInt(query.offset, 10);
+    if (!(offset >= 0)) throw new QueryError('offset must be zero or a positive integer');
+
+    const from = parseBound(query.from, 'from', false);
+    const to = parseBound(query.to, 'to', true);
+    if (from !== null && to !== null && from > to) throw new QueryError('from must not be after to');
+
+    return {
+        search: parseSearch(query.q),
+        from,
+        to,
+        service: typeof query.service === 'string' && query.service ? query.service : null,
+        limit,
+        offset
+    };
+}
+
+module.exports = { HeadlineArchive, parseArchiveQuery, ARCHIVE_FILE };
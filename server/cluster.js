@@ -0,0 +1,130 @@
+// Near-duplicate headline clustering
+//
+// The same story often arrives from the club site, the Herald and the BBC with slightly
+// different wording and tracking-laden URLs. Headlines are grouped when their canonical
+// URLs match or their normalised titles overlap enough; the first headline of a group
+// (sources are read in priority order from the .txt files) stays as the primary and the
+// rest are folded into its `sources` list.
+
+const TITLE_SIMILARITY = 0.6; // Jaccard overlap of title words
+const SHINGLE_SIMILARITY = 0.7; // share of the shorter title's word pairs found in the other
+const MIN_TOKENS = 3; // titles shorter than this only merge on an identical URL
+
+const TRACKING_PARAMS = /^(utm_.*|fbclid|gclid|dclid|mc_cid|mc_eid|ocid|cmpid|ito|at_.*|ref|ref_src|igshid|_ga)$/i;
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is', 'it',
+    'its', 'of', 'on', 'or', 'that', 'the', 'to', 'was', 'were', 'will', 'with', 'after', 'over', 'new'
+]);
+
+// Lowercase host, no www, no fragment, no tracking params, no trailing slash
+function canonicalUrl(url) {
+    try {
+        const parsed = new URL(url);
+        parsed.hash = '';
+        parsed.hostname = parsed.hostname.toLowerCase().replace(/^www\./, '');
+        for (const key of [...parsed.searchParams.keys()]) {
+            if (TRACKING_PARAMS.test(key)) parsed.searchParams.delete(key);
+        }
+        parsed.searchParams.sort();
+        const pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+        const query = parsed.searchParams.toString();
+        return `${parsed.protocol}//${parsed.hostname}${parsed.port ? ':' + parsed.port : ''}${pathname}${query ? '?' + query : ''}`;
+    } catch {
+        return null; // '#' placeholders and other relative links never match by URL
+    }
+}
+
+// Lowercase words without punctuation or a trailing " - Publisher" / " | Publisher" suffix
+function normalizeTitle(title) {
+    return (title || '')
+        .replace(/\s+[-|–—]\s+[^-|–—]{2,40}$/, '')
+        .toLowerCase()
+        .replace(/['’]s\b/g, '')
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Words minus stopwords, with a plain trailing-s stem so "sign" matches "signs"
+function tokenize(title) {
+    return normalizeTitle(title)
+        .split(' ')
+        .filter(word => word && !STOPWORDS.has(word))
+        .map(word => (word.length > 3 && /[^s]s$/.test(word)) ? word.slice(0, -1) : word);
+}
+
+function shingles(tokens) {
+    const pairs = new Set();
+    for (let i = 0; i < tokens.length - 1; i++) {
+        pairs.add(`${tokens[i]} ${tokens[i + 1]}`);
+    }
+    return pairs;
+}
+
+function intersectionSize(a, b) {
+    let count = 0;
+    for (const value of a) {
+        if (b.has(value)) count++;
+    }
+    return count;
+}
+
+function isNearDuplicate(a, b, opts) {
+    // One source linking several items to the same page (a tweeter's profile, a forecast
+    // page) is not duplication; the same link from two different sources is
+    if (a.url && a.url === b.url && a.source !== b.source) return true;
+    if (a.tokens.size < opts.minTokens || b.tokens.size < opts.minTokens) return false;
+
+    const shared = intersectionSize(a.tokens, b.tokens);
+    const jaccard = shared / (a.tokens.size + b.tokens.size - shared);
+    if (jaccard >= opts.titleSimilarity) return true;
+
+    const smaller = Math.min(a.shingles.size, b.shingles.size);
+    if (smaller < 2) return false;
+    return intersectionSize(a.shingles, b.shingles) / smaller >= opts.shingleSimilarity;
+}
+
+// Collapse near-duplicates, keeping the earliest headline of each group as primary
+function clusterHeadlines(headlines, opts = {}) {
+    const settings = {
+        titleSimilarity: opts.titleSimilarity || TITLE_SIMILARITY,
+        shingleSimilarity: opts.shingleSimilarity || SHINGLE_SIMILARITY,
+        minTokens: opts.minTokens || MIN_TOKENS
+    };
+    const clusters = [];
+
+    for (const headline of headlines) {
+        const tokens = tokenize(headline.title);
+        const candidate = {
+            source: headline.source,
+            url: canonicalUrl(headline.url),
+            tokens: new Set(tokens),
+            shingles: shingles(tokens)
+        };
+
+        // Titles are compared with the primary only (no chaining); links with every member
+        const match = clusters.find(cluster =>
+            isNearDuplicate(cluster.key, candidate, settings) ||
+            (candidate.url && cluster.urls.has(candidate.url) && cluster.urls.get(candidate.url) !== candidate.source));
+        if (match) {
+            match.members.push(headline);
+            if (candidate.url) match.urls.set(candidate.url, candidate.source);
+        } else {
+            const urls = new Map(candidate.url ? [[candidate.url, candidate.source]] : []);
+            clusters.push({ key: candidate, members: [headline], urls });
+        }
+    }
+
+    return clusters.map(({ members }) => {
+        const [primary] = members;
+        if (members.length === 1) return primary;
+
+        // Copy rather than mutate: the parser reuses these objects from its per-source cache
+        const merged = Object.assign(Object.create(Object.getPrototypeOf(primary)), primary);
+        merged.sources = members.map(member => ({ source: member.source, title: member.title, url: member.url }));
+        return merged;
+    });
+}
+
+module.exports = { clusterHeadlines, canonicalUrl, normalizeTitle };
@@ -0,0 +1,130 @@
+// Syndication formats for a service's headlines: RSS 2.0, Atom 1.0 and JSON Feed 1.1.
+// `feed` is { title, description, homeUrl, feedUrl, updated } with absolute URLs.
+
+function escapeXml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;')
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+// publishedAt when the source gave one, otherwise when we first saw the headline
+function dateOf(headline) {
+    const date = new Date(headline.publishedAt || headline.ts);
+    return isNaN(date.getTime()) ? new Date() : date;
+}
+
+// Placeholder links ('#', relative paths) point at the ticker's home page instead
+function linkOf(headline, feed) {
+    try {
+        const url = new URL(headline.url);
+        if (url.protocol === 'http:' || url.protocol === 'https:') return url.href;
+    } catch {
+        // fall through
+    }
+    return feed.homeUrl;
+}
+
+function authorOf(headline) {
+    return headline.author || headline.source || '';
+}
+
+function renderRss(feed, headlines) {
+    const items = headlines.map(headline => {
+        const lines = [
+            `      <title>${escapeXml(headline.title)}</title>`,
+            `      <link>${escapeXml(linkOf(headline, feed))}</link>`,
+            `      <guid isPermaLink="false">${escapeXml(headline.id)}</guid>`,
+            `      <pubDate>${dateOf(headline).toUTCString()}</pubDate>`,
+            `      <dc:creator>${escapeXml(authorOf(headline))}</dc:creator>`
+        ];
+        if (headline.summary) lines.push(`      <description>${escapeXml(headline.summary)}</description>`);
+        if (headline.lang) lines.push(`      <dc:language>${escapeXml(headline.lang)}</dc:language>`);
+        if (headline.image) lines.push(`      <media:thumbnail url="${escapeXml(headline.image)}"/>`);
+        for (const category of headline.categories || []) {
+            lines.push(`      <category>${escapeXml(category)}</category>`);
+        }
+        return `    <item>\n${lines.join('\n')}\n    </item>`;
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:media="http://search.yahoo.com/mrss/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.homeUrl)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>
+${items.join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+function renderAtom(feed, headlines) {
+    const entries = headlines.map(headline => {
+        const lines = [
+            `    <id>urn:sha1:${escapeXml(headline.id)}</id>`,
+            `    <title>${escapeXml(headline.title)}</title>`,
+            `    <link href="${escapeXml(linkOf(headline, feed))}"/>`,
+            `    <updated>${dateOf(headline).toISOString()}</updated>`,
+            `    <author><name>${escapeXml(authorOf(headline))}</name></author>`
+        ];
+        if (headline.summary) lines.push(`    <summary>${escapeXml(headline.summary)}</summary>`);
+        if (headline.image) lines.push(`    <link rel="enclosure" href="${escapeXml(headline.image)}"/>`);
+        for (const category of headline.categories || []) {
+            lines.push(`    <category term="${escapeXml(category)}"/>`);
+        }
+        const lang = headline.lang ? ` xml:lang="${escapeXml(headline.lang)}"` : '';
+        return `  <entry${lang}>\n${lines.join('\n')}\n  </entry>`;
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(feed.feedUrl)}</id>
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link rel="self" href="${escapeXml(feed.feedUrl)}"/>
+  <link rel="alternate" href="${escapeXml(feed.homeUrl)}"/>
+  <updated>${feed.updated.toISOString()}</updated>
+${entries.join('\n')}
+</feed>
+`;
+}
+
+function renderJsonFeed(feed, headlines) {
+    return {
+        version: 'https://jsonfeed.org/version/1.1',
+        title: feed.title,
+        description: feed.description,
+        home_page_url: feed.homeUrl,
+        feed_url: feed.feedUrl,
+        items: headlines.map(headline => {
+            const item = {
+                id: headline.id,
+                url: linkOf(headline, feed),
+                title: headline.title,
+                content_text: headline.summary || headline.title,
+                date_published: dateOf(headline).toISOString(),
+                authors: [{ name: authorOf(headline) }]
+            };
+            if (headline.summary) item.summary = headline.summary;
+            if (headline.image) item.image = headline.image;
+            if (headline.categories) item.tags = headline.categories;
+            if (headline.lang) item.language = headline.lang;
+            return item;
+        })
+    };
+}
+
+const FEED_FORMATS = {
+    rss: { contentType: 'application/rss+xml; charset=utf-8', render: renderRss },
+    atom: { contentType: 'application/atom+xml; charset=utf-8', render: renderAtom },
+    json: { contentType: 'application/feed+json; charset=utf-8', render: (feed, headlines) => JSON.stringify(renderJsonFeed(feed, headlines), null, 2) }
+};
+
+module.exports = { FEED_FORMATS, renderRss, renderAtom, renderJsonFeed, escapeXml };
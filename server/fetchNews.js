@@ -1,9 +1,12 @@
 const fs = require('fs').promises;
 const path = require('path');
 const axios = require('axios');
-const RSSParser = require('rss-parser');
-const cheerio = require('cheerio');
-const crypto = require('crypto');
+const { Headline } = require('./headline');
+const { getSourceTypes } = require('./sources');
+const { clusterHeadlines } = require('./cluster');
+const { DEFAULT_RANKING, loadRankingConfig, rankHeadlines } = require('./ranking');
+const { loadServices } = require('./services');
+const { normalizeLang, detectLanguage } = require('./language');
 
 // Configuration
 const CACHE_DIR = path.join(__dirname, 'cache');
@@ -12,26 +15,36 @@ const NEWS_CACHE_FILE = path.join(CACHE_DIR, 'news-cache.json');
 const MAX_HEADLINES = 200;
 const DEFAULT_RATE_LIMIT = 300000; // 5 minutes
 const USER_AGENT = 'Argyle-News-Ticker/1.0 (+https://github.com/argyle)';
+const MAX_LIST_DEPTH = 10; // nested `list` includes
 
-// Headline structure
-class Headline {
-    constructor(title, url, source, ts = Date.now()) {
-        this.title = title;
-        this.url = url;
-        this.source = source;
-        this.ts = ts;
-        this.id = this.generateId();
+function isHttpUrl(value) {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+        return false;
     }
+}
 
-    generateId() {
-        return crypto.createHash('sha1').update(this.title + '|' + this.url).digest('hex');
+// An IANA zone Intl knows, e.g. Europe/London (anything else makes it throw a RangeError)
+function isTimeZone(value) {
+    try {
+        new Intl.DateTimeFormat('en-GB', { timeZone: value });
+        return true;
+    } catch {
+        return false;
     }
 }
 
+// `news.txt:12: error: unknown directive "fed"`
+function formatDiagnostic(diagnostic) {
+    return `${diagnostic.file}:${diagnostic.line}: ${diagnostic.severity}: ${diagnostic.message}`;
+}
+
 // Cache metadata structure
 class CacheMeta {
     constructor() {
-        this.sources = new Map(); // domain -> { etag, lastModified, lastFetch, rateLimit }
+        this.sources = new Map(); // domain -> { etag, lastModified, lastFetch, rateLimit, urls: { url -> { etag, lastModified, lastFetch } } }
+        this.status = new Map(); // "type url" -> outcome of that directive's last fetch, see recordStatus()
         this.lastUpdate = Date.now();
     }
 
@@ -42,6 +55,11 @@ class CacheMeta {
                 meta.sources.set(domain, data);
             }
         }
+        if (json.status) {
+            for (const [key, data] of Object.entries(json.status)) {
+                meta.status.set(key, data);
+            }
+        }
         if (json.lastUpdate) meta.lastUpdate = json.lastUpdate;
         return meta;
     }
@@ -49,6 +67,7 @@ class CacheMeta {
     toJSON() {
         return {
             sources: Object.fromEntries(this.sources),
+            status: Object.fromEntries(this.status),
             lastUpdate: this.lastUpdate
         };
     }
@@ -56,8 +75,14 @@ class CacheMeta {
 
 // News source parser
 class NewsSourceParser {
-    constructor() {
+    constructor(opts = {}) {
         this.meta = new CacheMeta();
+        this.sourceTypes = opts.sourceTypes || getSourceTypes(); // directive -> source type module
+        this.sourceCache = new Map(); // "type url" -> last headlines fetched for that source
+        this.httpStatus = new Map(); // "type url" -> HTTP status of the source's latest response
+        this.forecasts = new Map(); // "type url" -> latest normalized forecast from a `forecast` source
+        this.forecastDocuments = new Map(); // "type url" -> { data, fetchedAt } it is re-normalized from
+        this.sports = new Map(); // "type url" -> latest { fixtures, table, team } from a fixtures source
     }
 
     async loadMeta() {
@@ -78,66 +103,106 @@ class NewsSourceParser {
         }
     }
 
-    async readSources(indexPath) {
+    // Parse a source file, following `list` includes. Problems are skipped; pass
+    // `context.diagnostics` (an array) to collect them as { file, line, severity, message }.
+    async readSources(indexPath, inheritedRateLimit = null, context = {}) {
         const sources = [];
-        const content = await fs.readFile(indexPath, 'utf8');
-        const lines = content.split('\n').map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+        const filePath = path.resolve(indexPath);
+        const stack = [...(context.stack || []), filePath];
+        const content = await fs.readFile(filePath, 'utf8');
 
-        for (const line of lines) {
-            const parts = line.split(/\s+/);
-            if (parts.length < 2) continue;
+        const report = (line, severity, message) => {
+            if (context.diagnostics) {
+                context.diagnostics.push({ file: path.relative(process.cwd(), filePath), line, severity, message });
+            }
+        };
+
+        // `rate <seconds>` applies to every source below it in the same file
+        let rateLimit = inheritedRateLimit;
+        const addSource = (source) => sources.push(rateLimit ? { ...source, rateLimit } : source);
+
+        const lines = content.split('\n');
+        for (let index = 0; index < lines.length; index++) {
+            const line = lines[index].trim();
+            const lineNumber = index + 1;
+            if (!line || line.startsWith('#')) continue;
 
+            const parts = line.split(/\s+/);
             const type = parts[0].toLowerCase();
             const url = parts[1];
 
-            switch (type) {
-                case 'feed':
-                    sources.push({ type: 'feed', url });
-                    break;
-                case 'site':
-                case 'url':
-                    sources.push({ type: 'site', url });
-                    break;
-                case 'json-file':
-                    sources.push({ type: 'json-file', url });
-                    break;
-                case 'headline':
-                    if (parts.length >= 3) {
-                        const title = parts.slice(1, -1).join(' ').replace(/^"|"$/g, '');
-                        const headlineUrl = parts[parts.length - 1];
-                        sources.push({ type: 'headline', title, url: headlineUrl });
-                    }
-                    break;
-                case 'plymouth-argyle':
-                    sources.push({ type: 'plymouth-argyle', url });
-                    break;
-                case 'plymouth-herald':
-                    sources.push({ type: 'plymouth-herald', url });
-                    break;
-                case 'plymouth-herald-sports':
-                    sources.push({ type: 'plymouth-herald-sports', url });
-                    break;
-                case 'tweets-file':
-                    sources.push({ type: 'tweets-file', url });
-                    break;
-                case 'entertainment-file':
-                    sources.push({ type: 'json-file', url });
-                    break;
-                case 'list':
-                    const listPath = path.resolve(path.dirname(indexPath), url);
+            if (parts.length < 2) {
+                report(lineNumber, 'error', `"${type}" needs an argument`);
+            } else if (type === 'rate') {
+                const seconds = parseInt(url, 10);
+                if (!(seconds > 0) && url !== 'default') {
+                    report(lineNumber, 'error', `rate expects seconds or "default", got "${url}"`);
+                }
+                rateLimit = seconds > 0 ? seconds * 1000 : null; // `rate default` restores the meta.json limit
+            } else if (type === 'list') {
+                const listPath = path.resolve(path.dirname(filePath), url);
+                if (stack.includes(listPath)) {
+                    const cycle = [...stack.slice(stack.indexOf(listPath)), listPath]
+                        .map(file => path.relative(process.cwd(), file)).join(' -> ');
+                    console.warn(`Skipping list cycle: ${cycle}`);
+                    report(lineNumber, 'error', `list cycle: ${cycle}`);
+                } else if (stack.length >= MAX_LIST_DEPTH) {
+                    console.warn(`Skipping list ${url}: nested more than ${MAX_LIST_DEPTH} deep`);
+                    report(lineNumber, 'error', `list ${url} is nested more than ${MAX_LIST_DEPTH} deep`);
+                } else {
                     try {
-                        const listSources = await this.readSources(listPath);
+                        const listSources = await this.readSources(listPath, rateLimit, { ...context, stack });
                         sources.push(...listSources);
                     } catch (error) {
                         console.warn(`Failed to read list ${url}:`, error.message);
+                        report(lineNumber, 'error', `cannot read list ${url}: ${error.code || error.message}`);
                     }
-                    break;
+                }
+            } else if (this.sourceTypes.has(type)) {
+                const sourceType = this.sourceTypes.get(type);
+
+                // `lang=<tag>` on any source line declares the language of its headlines
+                const langOption = line.match(/\s+lang=(\S+)/i);
+                const lang = langOption ? normalizeLang(langOption[1]) : null;
+                const sourceLine = langOption ? line.replace(langOption[0], '') : line;
+                const fields = sourceType.parse(sourceLine.split(/\s+/), sourceLine);
+
+                if (langOption && !lang) {
+                    report(lineNumber, 'error', `lang expects a language tag like "en" or "cy", got "${langOption[1]}"`);
+                } else if (!fields) {
+                    report(lineNumber, 'error', `malformed ${type} line: ${line}`);
+                } else if (sourceType.remote && !isHttpUrl(fields.url)) {
+                    report(lineNumber, 'error', `${type} needs an http(s) URL, got "${fields.url}"`);
+                } else {
+                    // A zone Intl doesn't know would throw on every render, so those read as UTC
+                    if (fields.timeZone && !isTimeZone(fields.timeZone)) {
+                        console.warn(`Unknown time zone ${fields.timeZone} for ${fields.url}, using UTC`);
+                        report(lineNumber, 'warning', `tz expects a time zone like "Europe/London", got "${fields.timeZone}"; using UTC`);
+                        fields.timeZone = 'UTC';
+                    }
+                    addSource({ ...fields, type: sourceType.type, ...(lang ? { lang } : {}) });
+                }
+            } else {
+                report(lineNumber, 'error', `unknown directive "${parts[0]}"`);
             }
         }
 
         return sources;
     }
 
+    // Read a source file and everything it lists, returning the sources and every problem found
+    async validateSources(indexPath) {
+        const diagnostics = [];
+        try {
+            const sources = await this.readSources(indexPath, null, { diagnostics });
+            return { sources, diagnostics };
+        } catch (error) {
+            const file = path.relative(process.cwd(), path.resolve(indexPath));
+            diagnostics.push({ file, line: 0, severity: 'error', message: `cannot read ${file}: ${error.code || error.message}` });
+            return { sources: [], diagnostics };
+        }
+    }
+
     getDomain(url) {
         try {
             return new URL(url).hostname;
@@ -146,556 +211,197 @@ class NewsSourceParser {
         }
     }
 
-    shouldFetch(domain) {
+    // Minimum time between fetches of a source: its `rate` directive, else its domain's limit
+    getRateLimit(source) {
+        const sourceMeta = this.meta.sources.get(this.getDomain(source.url)) || {};
+        return source.rateLimit || sourceMeta.rateLimit || DEFAULT_RATE_LIMIT;
+    }
+
+    shouldFetch(domain, url = null, rateLimit = null) {
         const sourceMeta = this.meta.sources.get(domain);
         if (!sourceMeta) return true;
 
+        // Track each URL separately so feeds sharing a domain don't starve each other
+        const urlMeta = url ? (sourceMeta.urls || {})[url] : sourceMeta;
+        if (!urlMeta || !urlMeta.lastFetch) return true;
+
         const now = Date.now();
-        const rateLimit = sourceMeta.rateLimit || DEFAULT_RATE_LIMIT;
-        return (now - sourceMeta.lastFetch) >= rateLimit;
+        const limit = rateLimit || sourceMeta.rateLimit || DEFAULT_RATE_LIMIT;
+        return (now - urlMeta.lastFetch) >= limit;
     }
 
-    async fetchRSSFeed(url) {
-        try {
-            const parser = new RSSParser({ headers: { 'User-Agent': USER_AGENT } });
-            const feed = await parser.parseURL(url);
-            return (feed.items || []).map(item => new Headline(
-                item.title || 'Untitled',
-                item.link || url,
-                this.getDomain(url),
-                item.isoDate ? new Date(item.isoDate).getTime() : (item.pubDate ? new Date(item.pubDate).getTime() : Date.now())
-            ));
-        } catch (error) {
-            console.warn(`Failed to fetch RSS feed ${url}:`, error.message);
-            return [];
+    // GET with If-None-Match / If-Modified-Since; resolves with status 304 when unchanged
+    async conditionalGet(url, opts = {}) {
+        const domain = this.getDomain(url);
+        const sourceMeta = this.meta.sources.get(domain) || {};
+        const urlMeta = (sourceMeta.urls || {})[url] || {};
+        const headers = { 'User-Agent': USER_AGENT };
+
+        // Only revalidate when we still hold the headlines a 304 would refer to
+        if (opts.cacheKey && this.sourceCache.has(opts.cacheKey)) {
+            if (urlMeta.etag) headers['If-None-Match'] = urlMeta.etag;
+            if (urlMeta.lastModified) headers['If-Modified-Since'] = urlMeta.lastModified;
         }
-    }
 
-    async fetchSiteContent(url) {
-        try {
-            const domain = this.getDomain(url);
-            const sourceMeta = this.meta.sources.get(domain) || {};
-            
-            const response = await axios.get(url, {
-                headers: {
-                    'User-Agent': USER_AGENT,
-                    'If-None-Match': sourceMeta.etag,
-                    'If-Modified-Since': sourceMeta.lastModified
-                },
-                timeout: 10000
-            });
-
-            // Update metadata
-            this.meta.sources.set(domain, {
-                etag: response.headers.etag,
-                lastModified: response.headers['last-modified'],
-                lastFetch: Date.now(),
-                rateLimit: DEFAULT_RATE_LIMIT
-            });
-
-            const $ = cheerio.load(response.data);
-            const headlines = [];
-
-            // Try OpenGraph first
-            const ogTitle = $('meta[property="og:title"]').attr('content');
-            const ogUrl = $('meta[property="og:url"]').attr('content');
-            if (ogTitle && ogUrl) {
-                headlines.push(new Headline(ogTitle, ogUrl, domain));
-            }
-
-            // Try JSON-LD
-            $('script[type="application/ld+json"]').each((i, el) => {
-                try {
-                    const data = JSON.parse($(el).html());
-                    if (data['@type'] === 'NewsArticle' && data.headline) {
-                        headlines.push(new Headline(data.headline, data.url || url, domain));
-                    }
-                } catch (e) {
-                    // Invalid JSON, skip
-                }
-            });
-
-            // Fallback to title tag
-            if (headlines.length === 0) {
-                const title = $('title').text().trim();
-                if (title) {
-                    headlines.push(new Headline(title, url, domain));
-                }
-            }
+        if (opts.cacheKey) this.httpStatus.delete(opts.cacheKey);
+        const response = await axios.get(url, {
+            headers,
+            timeout: opts.timeout || 10000,
+            responseType: 'text',
+            validateStatus: status => (status >= 200 && status < 300) || status === 304
+        });
+        if (opts.cacheKey) this.httpStatus.set(opts.cacheKey, response.status);
 
-            return headlines;
+        const now = Date.now();
+        const urls = { ...(sourceMeta.urls || {}) };
+        urls[url] = response.status === 304
+            ? { ...urlMeta, lastFetch: now }
+            : { etag: response.headers.etag, lastModified: response.headers['last-modified'], lastFetch: now };
+
+        this.meta.sources.set(domain, {
+            ...sourceMeta,
+            etag: urls[url].etag,
+            lastModified: urls[url].lastModified,
+            lastFetch: now,
+            rateLimit: sourceMeta.rateLimit || DEFAULT_RATE_LIMIT,
+            urls
+        });
+        this.meta.lastUpdate = now;
 
-        } catch (error) {
-            if (error.response && error.response.status === 304) {
-                console.log(`Content not modified for ${url}`);
-                return [];
-            }
-            console.warn(`Failed to fetch site ${url}:`, error.message);
-            return [];
-        }
+        return response;
     }
 
-        async scrapePlymouthArgyleNews() {
-        try {
-            const response = await axios.get('https://www.pafc.co.uk/news', {
-                timeout: 15000,
-                headers: {
-                    'User-Agent': USER_AGENT
-                }
-            });
-
-            const $ = cheerio.load(response.data);
-            const newsItems = [];
-            
-            // Look for news article links with better filtering
-            $('a[href*="/news/"]').each((index, element) => {
-                if (index < 20) { // Get more items to filter
-                    const $el = $(element);
-                    const href = $el.attr('href');
-                    const title = $el.text().trim();
-                    
-                    // Filter out navigation, FAQ, and non-news items
-                    if (href && title && 
-                        !title.includes('View all news') && 
-                        !title.includes('More news') &&
-                        !title.includes('Help and FAQs') &&
-                        !title.includes('Travel Club') &&
-                        !title.includes('Hospitality') &&
-                        !title.includes('Argyle TV') &&
-                        !title.includes('Seasonal') &&
-                        !title.includes('Miles Away') &&
-                        !title.includes('Latest News') &&
-                        !title.includes('homeparkstadium.com') &&
-                        title.length > 10 && // Filter out very short titles
-                        href.includes('/news/') && // Ensure it's a news article
-                        !href.includes('/argyle-tv/') && // Exclude TV section
-                        !href.includes('/travel/') && // Exclude travel section
-                        !href.includes('/hospitality/') && // Exclude hospitality section
-                        !href.includes('homeparkstadium.com') // Exclude external links
-                    ) {
-                        const fullUrl = href.startsWith('http') ? href : `https://www.pafc.co.uk${href}`;
-                        newsItems.push({
-                            title: title,
-                            url: fullUrl,
-                            source: 'www.pafc.co.uk',
-                            ts: Date.now()
-                        });
-                    }
-                }
-            });
-
-            // If we didn't find enough news items, try alternative selectors
-            if (newsItems.length < 3) {
-                $('h2, h3, h4, .news-title, .article-title, .headline, .title').each((index, element) => {
-                    if (newsItems.length < 3) {
-                        const $el = $(element);
-                        const title = $el.text().trim();
-                        const parent = $el.closest('a');
-                        
-                        if (title && parent.length > 0 && title.length > 10) {
-                            const href = parent.attr('href');
-                            if (href && href.includes('/news/') && 
-                                !title.includes('Help and FAQs') &&
-                                !title.includes('Travel Club') &&
-                                !title.includes('Hospitality')) {
-                                const fullUrl = href.startsWith('http') ? href : `https://www.pafc.co.uk${href}`;
-                                newsItems.push({
-                                    title: title,
-                                    url: fullUrl,
-                                    source: 'www.pafc.co.uk',
-                                    ts: Date.now()
-                                });
-                            }
-                        }
-                    }
-                });
-            }
-
-            // Filter out duplicates and return top 3
-            const uniqueItems = [];
-            const seenTitles = new Set();
-            
-            for (const item of newsItems) {
-                if (!seenTitles.has(item.title.toLowerCase())) {
-                    seenTitles.add(item.title.toLowerCase());
-                    uniqueItems.push(item);
-                }
-            }
+    // Remember how a directive's fetch went, for /api/health/sources
+    recordStatus(source, outcome) {
+        const key = `${source.type} ${source.url}`;
+        const previous = this.meta.status.get(key) || {};
+        const now = Date.now();
+        const entry = {
+            ...previous,
+            type: source.type,
+            url: source.url,
+            lastAttempt: now,
+            latencyMs: outcome.latencyMs,
+            httpStatus: outcome.httpStatus || null
+        };
 
-            return uniqueItems.slice(0, 3); // Ensure we only return 3 items
-        } catch (error) {
-            console.error('Failed to scrape Plymouth Argyle news:', error.message);
-            return [];
+        if (outcome.error) {
+            entry.lastError = { message: outcome.error.message, at: now };
+            entry.consecutiveFailures = (previous.consecutiveFailures || 0) + 1;
+        } else {
+            entry.lastSuccess = now;
+            entry.itemCount = outcome.itemCount;
+            entry.notModified = !!outcome.notModified;
+            entry.consecutiveFailures = 0;
         }
+        this.meta.status.set(key, entry);
     }
 
-    async scrapePlymouthHeraldNews() {
-        try {
-            const response = await axios.get('https://www.plymouthherald.co.uk/news/', {
-                timeout: 15000,
-                headers: {
-                    'User-Agent': USER_AGENT
-                }
-            });
+    // What a source shows again without a fresh document (rate limited, 304 or failing).
+    // Sources whose wording depends on the clock ("in 6 days", "showers from 15:00") define
+    // render(source, context) to rebuild it from the data they kept; the rest reuse their list.
+    cachedHeadlines(sourceType, source, context) {
+        if (typeof sourceType.render === 'function') return sourceType.render(source, context);
+        return this.sourceCache.get(context.cacheKey) || [];
+    }
 
-            const $ = cheerio.load(response.data);
-            const newsItems = [];
-            
-            // Look for news article links with better filtering
-            $('a[href*="/news/"]').each((index, element) => {
-                if (index < 100) { // Get more items to filter
-                    const $el = $(element);
-                    const href = $el.attr('href');
-                    const title = $el.text().trim();
-                    
-                    // Filter out navigation, ads, and non-news items
-                    if (href && title && 
-                        !title.includes('View all news') && 
-                        !title.includes('More news') &&
-                        !title.includes('Subscribe') &&
-                        !title.includes('Sign up') &&
-                        !title.includes('Advertise') &&
-                        !title.includes('Contact us') &&
-                        !title.includes('About us') &&
-                        !title.includes('Privacy Policy') &&
-                        !title.includes('Cookie Policy') &&
-                        !title.includes('Terms & Conditions') &&
-                        !title.includes('Latest News') &&
-                        !title.includes('Plymouth News') &&
-                        !title.includes('Celebs & TV') &&
-                        !title.includes('Devon News') &&
-                        !title.includes('Cornwall News') &&
-                        !title.includes('UK & World News') &&
-                        title.length > 10 && // Filter out very short titles
-                        href.includes('/news/') && // Ensure it's a news article
-                        !href.includes('/subscribe/') && // Exclude subscription pages
-                        !href.includes('/advertise/') && // Exclude advertising pages
-                        !href.includes('/contact/') && // Exclude contact pages
-                        !href.includes('/plymouth-news/') && // Exclude category pages
-                        !href.includes('/devon-news/') && // Exclude category pages
-                        !href.includes('/cornwall-news/') && // Exclude category pages
-                        !href.includes('/celebs-tv/') && // Exclude category pages
-                        !href.includes('/uk-world-news/') // Exclude category pages
-                    ) {
-                        const fullUrl = href.startsWith('http') ? href : `https://www.plymouthherald.co.uk${href}`;
-                        newsItems.push({
-                            title: title,
-                            url: fullUrl,
-                            source: 'www.plymouthherald.co.uk',
-                            ts: Date.now()
-                        });
-                    }
-                }
-            });
-
-            // If we didn't find enough news items, try alternative selectors
-            if (newsItems.length < 8) {
-                $('h2, h3, h4, .news-title, .article-title, .headline, .title, .card__title').each((index, element) => {
-                    if (newsItems.length < 8) {
-                        const $el = $(element);
-                        const title = $el.text().trim();
-                        const parent = $el.closest('a');
-                        
-                        if (title && parent.length > 0 && title.length > 10) {
-                            const href = parent.attr('href');
-                            if (href && href.includes('/news/') && 
-                                !title.includes('Subscribe') &&
-                                !title.includes('Sign up') &&
-                                !title.includes('Advertise')) {
-                                const fullUrl = href.startsWith('http') ? href : `https://www.plymouthherald.co.uk${href}`;
-                                newsItems.push({
-                                    title: title,
-                                    url: fullUrl,
-                                    source: 'www.plymouthherald.co.uk',
-                                    ts: Date.now()
-                                });
-                            }
-                        }
-                    }
-                });
-            }
+    async fetchHeadlines(sources, opts = {}) {
+        const allHeadlines = [];
+        const seenIds = new Set();
 
-            // Filter out duplicates and return top 3
-            const uniqueItems = [];
-            const seenTitles = new Set();
-            const seenUrls = new Set();
-            
-            for (const item of newsItems) {
-                const normalizedTitle = item.title.toLowerCase().replace(/\s+/g, ' ').trim();
-                const normalizedUrl = item.url.split('?')[0]; // Remove query parameters
-                
-                if (!seenTitles.has(normalizedTitle) && !seenUrls.has(normalizedUrl)) {
-                    seenTitles.add(normalizedTitle);
-                    seenUrls.add(normalizedUrl);
-                    uniqueItems.push(item);
-                }
+        for (const source of sources) {
+            const cacheKey = `${source.type} ${source.url}`;
+            const context = { parser: this, cacheKey, now: opts.now === undefined ? Date.now() : opts.now };
+            const sourceType = this.sourceTypes.get(source.type);
+            if (!sourceType) {
+                console.warn(`Unknown source type ${source.type} for ${source.url}`);
+                continue;
             }
 
-            return uniqueItems.slice(0, 8); // Ensure we only return 8 items
-        } catch (error) {
-            console.error('Failed to scrape Plymouth Herald news:', error.message);
-            return [];
-        }
-    }
+            // Within the rate limit, reuse what this source returned last time
+            const isRemote = !!sourceType.remote;
+            const rateLimited = isRemote && this.sourceCache.has(cacheKey) &&
+                !this.shouldFetch(this.getDomain(source.url), source.url, source.rateLimit);
 
-    async scrapePlymouthHeraldSports() {
-        try {
-            const response = await axios.get('https://www.plymouthherald.co.uk/sport/football/', {
-                timeout: 15000,
-                headers: {
-                    'User-Agent': USER_AGENT
-                }
-            });
-
-            const $ = cheerio.load(response.data);
-            const sportsItems = [];
-            
-            // Look for football article links with better filtering
-            $('a[href*="/sport/"]').each((index, element) => {
-                if (index < 50) { // Get more items to filter
-                    const $el = $(element);
-                    const href = $el.attr('href');
-                    const title = $el.text().trim();
-                    
-                    // Filter out navigation, ads, and non-sports items
-                    if (href && title && 
-                        !title.includes('View all sport') && 
-                        !title.includes('More sport') &&
-                        !title.includes('Subscribe') &&
-                        !title.includes('Sign up') &&
-                        !title.includes('Advertise') &&
-                        !title.includes('Contact us') &&
-                        !title.includes('About us') &&
-                        !title.includes('Privacy Policy') &&
-                        !title.includes('Cookie Policy') &&
-                        !title.includes('Terms & Conditions') &&
-                        !title.includes('Latest Sport') &&
-                        !title.includes('UK Sports News') &&
-                        !title.includes('Sport Opinion') &&
-                        !title.includes('Football') &&
-                        !title.includes('Rugby') &&
-                        !title.includes('Cricket') &&
-                        !title.includes('Athletics') &&
-                        title.length > 10 && // Filter out very short titles
-                        href.includes('/sport/') && // Ensure it's a sport article
-                        !href.includes('/subscribe/') && // Exclude subscription pages
-                        !href.includes('/advertise/') && // Exclude advertising pages
-                        !href.includes('/contact/') && // Exclude contact pages
-                        !href.includes('/sport/football/') && // Exclude category pages
-                        !href.includes('/sport/rugby/') && // Exclude category pages
-                        !href.includes('/sport/cricket/') && // Exclude category pages
-                        !href.includes('/sport/athletics/') // Exclude category pages
-                    ) {
-                        const fullUrl = href.startsWith('http') ? href : `https://www.plymouthherald.co.uk${href}`;
-                        sportsItems.push({
-                            title: title,
-                            url: fullUrl,
-                            source: 'www.plymouthherald.co.uk',
-                            ts: Date.now()
-                        });
+            let headlines;
+            if (rateLimited) {
+                headlines = this.cachedHeadlines(sourceType, source, context);
+            } else {
+                const started = Date.now();
+                try {
+                    headlines = await sourceType.fetch(source, context);
+                    const notModified = headlines === null;
+
+                    // A null result means the source answered 304 Not Modified
+                    if (notModified) {
+                        headlines = this.cachedHeadlines(sourceType, source, context);
+                    } else if (isRemote) {
+                        this.sourceCache.set(cacheKey, headlines);
                     }
+                    this.recordStatus(source, {
+                        itemCount: headlines.length,
+                        notModified,
+                        latencyMs: Date.now() - started,
+                        httpStatus: this.httpStatus.get(cacheKey)
+                    });
+                } catch (error) {
+                    // Keep showing what the source gave us last time until it recovers
+                    headlines = this.cachedHeadlines(sourceType, source, context);
+                    const kept = headlines.length > 0 ? ` (keeping ${headlines.length} cached)` : '';
+                    console.error(`Error processing ${source.type} source ${source.url}: ${error.message}${kept}`);
+                    this.recordStatus(source, {
+                        error,
+                        latencyMs: Date.now() - started,
+                        httpStatus: error.response ? error.response.status : null
+                    });
                 }
-            });
-
-            // If we didn't find enough sports items, try alternative selectors
-            if (sportsItems.length < 3) {
-                $('h2, h3, h4, .sport-title, .article-title, .headline, .title, .card__title').each((index, element) => {
-                    if (sportsItems.length < 3) {
-                        const $el = $(element);
-                        const title = $el.text().trim();
-                        const parent = $el.closest('a');
-                        
-                        if (title && parent.length > 0 && title.length > 10) {
-                            const href = parent.attr('href');
-                            if (href && href.includes('/sport/') && 
-                                !title.includes('Subscribe') &&
-                                !title.includes('Sign up') &&
-                                !title.includes('Advertise')) {
-                                const fullUrl = href.startsWith('http') ? href : `https://www.plymouthherald.co.uk${href}`;
-                                sportsItems.push({
-                                    title: title,
-                                    url: fullUrl,
-                                    source: 'www.plymouthherald.co.uk',
-                                    ts: Date.now()
-                        });
-                            }
-                        }
-                    }
-                });
             }
 
-            // Filter out duplicates and return top 3
-            const uniqueItems = [];
-            const seenTitles = new Set();
-            const seenUrls = new Set();
-            
-            for (const item of sportsItems) {
-                const normalizedTitle = item.title.toLowerCase().replace(/\s+/g, ' ').trim();
-                const normalizedUrl = item.url.split('?')[0]; // Remove query parameters
-                
-                if (!seenTitles.has(normalizedTitle) && !seenUrls.has(normalizedUrl)) {
-                    seenTitles.add(normalizedTitle);
-                    seenUrls.add(normalizedUrl);
-                    uniqueItems.push(item);
-                }
+            // A `lang=` hint beats what the source declared; otherwise guess from the script
+            for (const headline of headlines) {
+                const lang = source.lang || normalizeLang(headline.lang) || detectLanguage(headline.title);
+                if (lang) headline.lang = lang;
             }
 
-            return uniqueItems.slice(0, 3); // Ensure we only return 3 items
-        } catch (error) {
-            console.error('Failed to scrape Plymouth Herald sports:', error.message);
-            return [];
-        }
-    }
-
-    async loadTweetsFromFile(filePath) {
-        try {
-            const fullPath = path.resolve(process.cwd(), filePath);
-            const data = await fs.readFile(fullPath, 'utf8');
-            const tweets = JSON.parse(data);
-            
-            // Ensure we have an array of tweets
-            if (Array.isArray(tweets)) {
-                return tweets;
-            } else if (tweets.tweets && Array.isArray(tweets.tweets)) {
-                return tweets.tweets;
-            } else {
-                console.error('Invalid tweets file format');
-                return [];
+            // Deduplicate and add new headlines
+            for (const headline of headlines) {
+                if (!seenIds.has(headline.id)) {
+                    seenIds.add(headline.id);
+                    allHeadlines.push(headline);
+                }
             }
-        } catch (error) {
-            console.error('Failed to load tweets from file:', error.message);
-            return [];
         }
-    }
-
-    async fetchHeadlines(sources, opts = {}) {
-        const allHeadlines = [];
-        const seenIds = new Set();
-
-        for (const source of sources) {
-            try {
-                let headlines = [];
-
-                switch (source.type) {
-                    case 'feed':
-                        headlines = await this.fetchRSSFeed(source.url);
-                        break;
-                    case 'site':
-                        headlines = await this.fetchSiteContent(source.url);
-                        break;
-                    case 'headline':
-                        headlines = [new Headline(source.title, source.url, 'manual')];
-                        break;
-                    case 'json-file':
-                        try {
-                            const fullPath = path.resolve(process.cwd(), source.url);
-                            const data = JSON.parse(await fs.readFile(fullPath, 'utf8'));
-                            const items = Array.isArray(data) ? data : (Array.isArray(data.items) ? data.items : (Array.isArray(data.tweets) ? data.tweets : []));
-                            const now = Date.now();
-                            headlines = items.map(item => new Headline(
-                                item.title || `${item.hashtag || ''} @${item.username || 'user'}: ${item.comment || item.text || ''}`.trim(),
-                                item.url || (item.username ? `https://twitter.com/${item.username}` : '#'),
-                                (item.source || 'json').toString(),
-                                item.ts || now
-                            ));
-                        } catch (e) {
-                            console.warn('Failed to load JSON file source', source.url, e.message);
-                            headlines = [];
-                        }
-                        break;
-                    case 'plymouth-argyle':
-                        const rawHeadlines = await this.scrapePlymouthArgyleNews();
-                        headlines = rawHeadlines.map(item => new Headline(
-                            item.title,
-                            item.url,
-                            item.source,
-                            item.ts
-                        ));
-                        break;
-                    case 'plymouth-herald':
-                        const rawHeraldHeadlines = await this.scrapePlymouthHeraldNews();
-                        headlines = rawHeraldHeadlines.map(item => new Headline(
-                            item.title,
-                            item.url,
-                            item.source,
-                            item.ts
-                        ));
-                        break;
-                    case 'plymouth-herald-sports':
-                        const rawHeraldSportsHeadlines = await this.scrapePlymouthHeraldSports();
-                        headlines = rawHeraldSportsHeadlines.map(item => new Headline(
-                            item.title,
-                            item.url,
-                            item.source,
-                            item.ts
-                        ));
-                        break;
-                    case 'tweets-file':
-                        const rawTweets = await this.loadTweetsFromFile(source.url);
-                        headlines = rawTweets.map(item => new Headline(
-                            `${item.hashtag} @${item.username}: ${item.comment}`,
-                            `https://twitter.com/${item.username}`,
-                            'Twitter',
-                            Date.now()
-                        ));
-                        break;
-                }
-
-                // Deduplicate and add new headlines
-                for (const headline of headlines) {
-                    if (!seenIds.has(headline.id)) {
-                        seenIds.add(headline.id);
-                        allHeadlines.push(headline);
-                    }
-                }
 
-            } catch (error) {
-                console.error(`Error processing source ${source.url}:`, error.message);
-            }
+        // Fold the same story from several sources into one headline
+        const clustered = opts.cluster === false ? allHeadlines : clusterHeadlines(allHeadlines);
+        if (clustered.length < allHeadlines.length) {
+            console.log(`🧩 Merged ${allHeadlines.length - clustered.length} near-duplicate headlines`);
         }
 
-        // Sort headlines with Plymouth sources first, then by timestamp
-        console.log('🔄 Sorting headlines with Plymouth priority...');
-        const sortedHeadlines = allHeadlines.sort((a, b) => {
-            // Priority 1: Plymouth sources first
-            const aIsPlymouth = a.source.includes('plymouth') || a.source.includes('pafc');
-            const bIsPlymouth = b.source.includes('plymouth') || b.source.includes('pafc');
-            
-            if (aIsPlymouth && !bIsPlymouth) {
-                console.log(`✅ Prioritizing Plymouth source: ${a.source} over ${b.source}`);
-                return -1;
-            }
-            if (!aIsPlymouth && bIsPlymouth) {
-                console.log(`✅ Prioritizing Plymouth source: ${b.source} over ${a.source}`);
-                return 1;
-            }
-            
-            // Priority 2: Most recent first (for same priority level)
-            return (b.ts || 0) - (a.ts || 0);
-        });
+        // Rank with the service's config (Plymouth first, then recency, by default)
+        const sortedHeadlines = rankHeadlines(clustered, opts.ranking || DEFAULT_RANKING);
 
         console.log(`📊 Final headline order (first 5):`);
         sortedHeadlines.slice(0, 5).forEach((h, i) => {
-            const isPlymouth = h.source.includes('plymouth') || h.source.includes('pafc');
-            console.log(`  ${i + 1}. ${h.title} [${h.source}] ${isPlymouth ? '🏠 PLYMOUTH' : '🌍 OTHER'}`);
+            console.log(`  ${i + 1}. ${h.title} [${h.source}]`);
         });
 
         // Limit to max headlines
         return sortedHeadlines.slice(0, opts.maxHeadlines || MAX_HEADLINES);
     }
 
-    async saveHeadlines(headlines) {
+    async saveHeadlines(headlines, cacheFile = NEWS_CACHE_FILE) {
         try {
             await fs.mkdir(CACHE_DIR, { recursive: true });
-            await fs.writeFile(NEWS_CACHE_FILE, JSON.stringify(headlines, null, 2));
+            await fs.writeFile(cacheFile, JSON.stringify(headlines, null, 2));
         } catch (error) {
             console.error('Failed to save headlines:', error);
         }
     }
 
-    async loadHeadlines() {
+    async loadHeadlines(cacheFile = NEWS_CACHE_FILE) {
         try {
-            const data = await fs.readFile(NEWS_CACHE_FILE, 'utf8');
+            const data = await fs.readFile(cacheFile, 'utf8');
             return JSON.parse(data);
         } catch (error) {
             console.log('No existing headlines cache, starting fresh');
@@ -719,18 +425,49 @@ class NewsSourceParser {
     }
 }
 
+// Problems across several source files, each reported once even when files share a list
+async function validateSourceFiles(files, parser = new NewsSourceParser()) {
+    const seen = new Set();
+    const diagnostics = [];
+    for (const file of files) {
+        const result = await parser.validateSources(path.resolve(process.cwd(), file));
+        for (const diagnostic of result.diagnostics) {
+            const text = formatDiagnostic(diagnostic);
+            if (seen.has(text)) continue;
+            seen.add(text);
+            diagnostics.push(diagnostic);
+        }
+    }
+    return diagnostics;
+}
+
 // CLI interface
 async function main() {
     const args = process.argv.slice(2);
     const parser = new NewsSourceParser();
     
     try {
+        if (args.includes('--validate')) {
+            // Files after --validate, or every service's source file from services.json
+            const files = args.slice(args.indexOf('--validate') + 1).filter(arg => !arg.startsWith('--'));
+            const targets = files.length > 0 ? files : loadServices().services.map(service => service.sourceFile);
+            const diagnostics = await validateSourceFiles(targets, parser);
+
+            diagnostics.forEach(diagnostic => console.log(formatDiagnostic(diagnostic)));
+            const errors = diagnostics.filter(diagnostic => diagnostic.severity === 'error').length;
+            console.log(errors === 0
+                ? `✅ ${targets.length} source file(s) OK`
+                : `❌ ${errors} problem(s) in ${targets.join(', ')}`);
+            process.exit(errors === 0 ? 0 : 1);
+        }
+
         await parser.loadMeta();
         
         if (args.includes('--once')) {
             console.log('Fetching news once...');
             const sources = await parser.readSources(path.join(process.cwd(), 'news.txt'));
-            const headlines = await parser.fetchHeadlines(sources);
+            const ranking = await loadRankingConfig(path.join(process.cwd(), 'news.txt'));
+            const headlines = await parser.fetchHeadlines(sources, { ranking });
             await parser.saveHeadlines(headlines);
             await parser.saveMeta();
             console.log(`✅ Fetched ${headlines.length} headlines`);
@@ -741,7 +478,8 @@ async function main() {
             setInterval(async () => {
                 try {
                     const sources = await parser.readSources(path.join(process.cwd(), 'news.txt'));
-                    const headlines = await parser.fetchHeadlines(sources);
+                    const ranking = await loadRankingConfig(path.join(process.cwd(), 'news.txt'));
+                    const headlines = await parser.fetchHeadlines(sources, { ranking });
                     await parser.saveHeadlines(headlines);
                     await parser.saveMeta();
                     console.log(`✅ Updated ${headlines.length} headlines at ${new Date().toISOString()}`);
@@ -750,7 +488,7 @@ async function main() {
                 }
             }, interval);
         } else {
-            console.log('Usage: node fetchNews.js --once | --every <seconds>');
+            console.log('Usage: node fetchNews.js --once | --every <seconds> | --validate [file...]');
         }
     } catch (error) {
         console.error('Fatal error:', error);
@@ -759,7 +497,7 @@ async function main() {
 }
 
 // Export for use as module
-module.exports = { NewsSourceParser, Headline };
+module.exports = { NewsSourceParser, Headline, CACHE_DIR, validateSourceFiles, formatDiagnostic };
 
 // Run if called directly
 if (require.main === module) {
@@ -0,0 +1,368 @@
+// Fixtures, results and league tables for the `fixtures-file` / `fixtures-url` source types
+// and /api/sports/*.
+//
+// parseSportsData() reads any of:
+//   - CSV with a header row. Fixture columns: date, time, competition, home, away, score
+//     (or home_score/away_score), venue, status. Table columns: position, team, played,
+//     won, drawn, lost, goals_for, goals_against, goal_difference, points (short forms like
+//     pos/pld/w/d/l/gf/ga/gd/pts work too).
+//   - JSON: an array of fixtures, { fixtures|matches|results: [...], table: [...] }, or a
+//     football-data.org style { matches } / { standings: [{ table }] } response.
+//
+// Dates without a zone are wall-clock times in `timeZone` (UK time by default).
+
+const DEFAULT_TIME_ZONE = 'Europe/London';
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+
+// Header aliases -> field name; headers are lower-cased with spaces and dashes as underscores
+const FIXTURE_COLUMNS = {
+    date: 'date', kickoff: 'date', datetime: 'date', utcdate: 'date',
+    time: 'time', ko: 'time',
+    competition: 'competition', comp: 'competition', league: 'competition',
+    home: 'home', home_team: 'home', hometeam: 'home',
+    away: 'away', away_team: 'away', awayteam: 'away',
+    score: 'score', result: 'score',
+    home_score: 'homeScore', homescore: 'homeScore', home_goals: 'homeScore',
+    away_score: 'awayScore', awayscore: 'awayScore', away_goals: 'awayScore',
+    venue: 'venue', ground: 'venue', stadium: 'venue',
+    status: 'status'
+};
+const TABLE_COLUMNS = {
+    position: 'position', pos: 'position', rank: 'position',
+    team: 'team', club: 'team',
+    played: 'played', pld: 'played', p: 'played', playedgames: 'played',
+    won: 'won', w: 'won',
+    drawn: 'drawn', draw: 'drawn', d: 'drawn',
+    lost: 'lost', l: 'lost',
+    goals_for: 'goalsFor', goalsfor: 'goalsFor', gf: 'goalsFor', f: 'goalsFor',
+    goals_against: 'goalsAgainst', goalsagainst: 'goalsAgainst', ga: 'goalsAgainst', a: 'goalsAgainst',
+    goal_difference: 'goalDifference', goaldifference: 'goalDifference', gd: 'goalDifference',
+    points: 'points', pts: 'points'
+};
+
+// RFC 4180-ish: quoted fields may contain commas, newlines and "" escapes
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let value = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                value += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                value += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(value);
+            value = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(value);
+            rows.push(row);
+            row = [];
+            value = '';
+        } else {
+            value += char;
+        }
+    }
+    if (value || row.length > 0) {
+        row.push(value);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+function headerKey(header) {
+    return header.trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+// Milliseconds `timeZone` is ahead of UTC at `ts`
+function zoneOffset(ts, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(new Date(ts)).forEach(part => { parts[part.type] = part.value; });
+    return Date.UTC(+parts.year, parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second) - ts;
+}
+
+// Kick-off as an ISO string. `date` is YYYY-MM-DD, DD/MM/YYYY or a full ISO timestamp.
+function kickoffTime(date, time, timeZone) {
+    const text = String(date || '').trim();
+    if (!text) return { date: null, timeKnown: false };
+    if (/T\d\d:\d\d/.test(text)) {
+        const ts = Date.parse(text);
+        return { date: isNaN(ts) ? null : new Date(ts).toISOString(), timeKnown: !isNaN(ts) };
+    }
+
+    const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    const uk = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+    if (!iso && !uk) return { date: null, timeKnown: false };
+    const [year, month, day] = iso
+        ? [+iso[1], +iso[2], +iso[3]]
+        : [uk[3].length === 2 ? 2000 + +uk[3] : +uk[3], +uk[2], +uk[1]];
+
+    const clock = String(time || '').trim().match(/^(\d{1,2})[:.](\d\d)$/);
+    const wallClock = Date.UTC(year, month - 1, day, clock ? +clock[1] : 0, clock ? +clock[2] : 0);
+    // Correct by the zone offset, then again in case that crossed a clock change
+    let ts = wallClock - zoneOffset(wallClock, timeZone);
+    ts = wallClock - zoneOffset(ts, timeZone);
+    return { date: new Date(ts).toISOString(), timeKnown: !!clock };
+}
+
+function toScore(value) {
+    if (value === null || value === undefined || String(value).trim() === '') return null;
+    const number = Number(value);
+    return Number.isInteger(number) && number >= 0 ? number : null;
+}
+
+function slug(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function teamName(value) {
+    return typeof value === 'object' && value !== null ? (value.shortName || value.name || '') : String(value || '');
+}
+
+function normalizeStatus(status, hasScore) {
+    const text = String(status || '').trim().toLowerCase();
+    if (/^(p|pp|postponed|cancelled|canceled|abandoned|suspended)$/.test(text)) return 'postponed';
+    if (/^(live|in_play|paused|ht|half.?time)$/.test(text)) return 'live';
+    if (hasScore || /^(ft|finished|full.?time|aet|pen)$/.test(text)) return 'finished';
+    return 'scheduled';
+}
+
+// One fixture from a CSV row object or a JSON item, or null without both teams
+function normalizeFixture(raw, timeZone) {
+    const home = teamName(raw.home || raw.homeTeam).trim();
+    const away = teamName(raw.away || raw.awayTeam).trim();
+    if (!home || !away) return null;
+
+    let homeScore = toScore(raw.homeScore);
+    let awayScore = toScore(raw.awayScore);
+    const fullTime = raw.score && raw.score.fullTime;
+    if (fullTime) {
+        homeScore = toScore(fullTime.home ?? fullTime.homeTeam);
+        awayScore = toScore(fullTime.away ?? fullTime.awayTeam);
+    } else if (typeof raw.score === 'string') {
+        const match = raw.score.match(/^\s*(\d+)\s*[-–:]\s*(\d+)\s*$/);
+        if (match) [homeScore, awayScore] = [+match[1], +match[2]];
+    }
+    const hasScore = homeScore !== null && awayScore !== null;
+
+    const kickoff = kickoffTime(raw.date || raw.utcDate || raw.kickoff, raw.time, timeZone);
+    const competition = typeof raw.competition === 'object' && raw.competition !== null
+        ? raw.competition.name : raw.competition;
+    return {
+        id: `${kickoff.date ? kickoff.date.slice(0, 10) : 'tbc'}-${slug(home)}-v-${slug(away)}`,
+        date: kickoff.date,
+        timeKnown: kickoff.timeKnown,
+        competition: competition ? String(competition).trim() : null,
+        home,
+        away,
+        venue: raw.venue ? String(raw.venue).trim() : null,
+        homeScore: hasScore ? homeScore : null,
+        awayScore: hasScore ? awayScore : null,
+        status: normalizeStatus(raw.status, hasScore)
+    };
+}
+
+function toNumber(value) {
+    if (value === null || value === undefined || String(value).trim() === '') return null;
+    const number = Number(String(value).replace(/^\+/, ''));
+    return isFinite(number) ? number : null;
+}
+
+function normalizeTableRow(raw) {
+    const team = teamName(raw.team).trim();
+    if (!team) return null;
+    const row = { position: toNumber(raw.position), team };
+    for (const field of ['played', 'won', 'drawn', 'lost', 'goalsFor', 'goalsAgainst', 'goalDifference', 'points']) {
+        row[field] = toNumber(raw[field] ?? raw[{ played: 'playedGames', drawn: 'draw' }[field]]);
+    }
+    if (row.goalDifference === null && row.goalsFor !== null && row.goalsAgainst !== null) {
+        row.goalDifference = row.goalsFor - row.goalsAgainst;
+    }
+    return row;
+}
+
+function fromCsv(text, timeZone) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return { fixtures: [], table: [] };
+    const keys = header.map(headerKey);
+    const isTable = keys.some(key => TABLE_COLUMNS[key] === 'points') && keys.some(key => TABLE_COLUMNS[key] === 'team');
+    const columns = isTable ? TABLE_COLUMNS : FIXTURE_COLUMNS;
+    if (!isTable && !(keys.some(key => columns[key] === 'home') && keys.some(key => columns[key] === 'away'))) {
+        throw new Error('CSV needs home and away columns (fixtures) or team and points columns (table)');
+    }
+
+    const records = rows.map(cells => {
+        const record = {};
+        keys.forEach((key, index) => {
+            if (columns[key] && cells[index] !== undefined) record[columns[key]] = cells[index].trim();
+        });
+        return record;
+    });
+    return isTable
+        ? { fixtures: [], table: records.map(normalizeTableRow).filter(Boolean) }
+        : { fixtures: records.map(record => normalizeFixture(record, timeZone)).filter(Boolean), table: [] };
+}
+
+function fromJson(data, timeZone) {
+    const list = Array.isArray(data) ? data : (data.fixtures || data.matches || data.results || []);
+    const standings = Array.isArray(data.standings)
+        ? (data.standings.find(standing => !standing.type || standing.type === 'TOTAL') || {}).table
+        : null;
+    if (!Array.isArray(list) || (!Array.isArray(data) && !data.fixtures && !data.matches && !data.results && !data.table && !standings)) {
+        throw new Error('JSON needs a fixtures/matches/results array or a table');
+    }
+    return {
+        fixtures: list.map(item => normalizeFixture(item, timeZone)).filter(Boolean),
+        table: (data.table || standings || []).map(normalizeTableRow).filter(Boolean)
+    };
+}
+
+// { fixtures, table } from a CSV or JSON document; fixtures come back in kick-off order
+function parseSportsData(text, opts = {}) {
+    const timeZone = opts.timeZone || DEFAULT_TIME_ZONE;
+    const trimmed = String(text).replace(/^\uFEFF/, '').trim();
+    const data = /^[[{]/.test(trimmed) ? fromJson(JSON.parse(trimmed), timeZone) : fromCsv(trimmed, timeZone);
+
+    data.fixtures.sort((a, b) => (a.date ? Date.parse(a.date) : Infinity) - (b.date ? Date.parse(b.date) : Infinity));
+    data.table.sort((a, b) => (a.position ?? Infinity) - (b.position ?? Infinity));
+    return data;
+}
+
+// Case-insensitive "does this fixture involve `team`" (substring, so "Argyle" matches)
+function involves(fixture, team) {
+    if (!team) return true;
+    const wanted = team.toLowerCase();
+    return fixture.home.toLowerCase().includes(wanted) || fixture.away.toLowerCase().includes(wanted);
+}
+
+// Next `count` scheduled fixtures after `now`, and the latest `count` results, newest first
+function upcomingFixtures(fixtures, now = Date.now(), count = 1) {
+    return fixtures
+        .filter(fixture => fixture.status === 'scheduled' && fixture.date && Date.parse(fixture.date) > now)
+        .slice(0, count);
+}
+
+function latestResults(fixtures, count = 1) {
+    return fixtures
+        .filter(fixture => fixture.status === 'finished')
+        .slice(-count)
+        .reverse();
+}
+
+// "in 3 days", "in 5 hours", "in 40 min"
+function countdown(date, now = Date.now()) {
+    const remaining = Date.parse(date) - now;
+    if (remaining >= 2 * DAY) return `in ${Math.round(remaining / DAY)} days`;
+    if (remaining >= 2 * HOUR) return `in ${Math.round(remaining / HOUR)} hours`;
+    if (remaining >= HOUR) return 'in 1 hour';
+    return `in ${Math.max(1, Math.round(remaining / 60000))} min`;
+}
+
+function kickoffLabel(fixture, timeZone = DEFAULT_TIME_ZONE) {
+    const date = new Date(fixture.date);
+    const day = new Intl.DateTimeFormat('en-GB', { weekday: 'short', day: 'numeric', month: 'short', timeZone }).format(date);
+    if (!fixture.timeKnown) return `${day} (time TBC)`;
+    const time = new Intl.DateTimeFormat('en-GB', { hour: '2-digit', minute: '2-digit', hourCycle: 'h23', timeZone }).format(date);
+    return `${day} ${time}`;
+}
+
+// "Next: Plymouth Argyle v Exeter City, Sat 23 Aug 15:00 (in 6 days)"
+function describeFixture(fixture, now = Date.now(), timeZone = DEFAULT_TIME_ZONE) {
+    const when = fixture.timeKnown ? ` (${countdown(fixture.date, now)})` : '';
+    return `Next: ${fixture.home} v ${fixture.away}, ${kickoffLabel(fixture, timeZone)}${when}`;
+}
+
+// "FT: Plymouth Argyle 2-1 Bolton Wanderers (League One)"
+function describeResult(fixture) {
+    const competition = fixture.competition ? ` (${fixture.competition})` : '';
+    return `FT: ${fixture.home} ${fixture.homeScore}-${fixture.awayScore} ${fixture.away}${competition}`;
+}
+
+function ordinal(n) {
+    const suffix = (n % 100 >= 11 && n % 100 <= 13) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+    return `${n}${suffix}`;
+}
+
+// "Plymouth Argyle are 5th on 12 points after 6 games", or null when the team isn't in the table
+function describeStanding(table, team, competition) {
+    const row = table.find(entry => entry.team.toLowerCase().includes(String(team || '').toLowerCase()));
+    if (!team || !row || row.position === null) return null;
+    const league = competition ? ` in ${competition}` : '';
+    const points = row.points !== null ? ` on ${row.points} point${row.points === 1 ? '' : 's'}` : '';
+    const played = row.played !== null ? ` after ${row.played} game${row.played === 1 ? '' : 's'}` : '';
+    return `${row.team} are ${ordinal(row.position)}${league}${points}${played}`;
+}
+
+// Directive options shared by fixtures-file and fixtures-url:
+//   team="Plymouth Argyle" next=<n> results=<n> competition="League One" link=<url> tz=<zone> label=<source>
+function parseFixturesOptions(options) {
+    const count = (value, fallback) => {
+        const number = parseInt(value, 10);
+        return number >= 0 ? number : fallback;
+    };
+    return {
+        team: options.team || null,
+        next: count(options.next, 1),
+        results: count(options.results, 1),
+        competition: options.competition || null,
+        link: options.link || null,
+        timeZone: options.tz || null,
+        label: options.label || null
+    };
+}
+
+// Ticker lines for one source as { title, ts, publishedAt? }: next fixtures with a countdown,
+// latest results, then the standing. A countdown is as fresh as `now` (its kick-off, still to
+// come, goes in publishedAt so it can't outrank the news), a result is timed at its kick-off and
+// the standing at `data.updatedAt`, when the data was fetched.
+function describeSportsItems(data, source, now = Date.now()) {
+    const timeZone = source.timeZone || DEFAULT_TIME_ZONE;
+    const fixtures = data.fixtures.filter(fixture => involves(fixture, source.team));
+    const updatedAt = Date.parse(data.updatedAt) || now;
+    const kickoff = fixture => Date.parse(fixture.date) || updatedAt;
+    const standing = describeStanding(data.table, source.team, source.competition);
+    return [
+        ...upcomingFixtures(fixtures, now, source.next).map(fixture => ({
+            title: describeFixture(fixture, now, timeZone),
+            ts: now,
+            publishedAt: fixture.date || null
+        })),
+        ...latestResults(fixtures, source.results).map(fixture => ({ title: describeResult(fixture), ts: kickoff(fixture) })),
+        ...(standing ? [{ title: standing, ts: updatedAt }] : [])
+    ];
+}
+
+function describeSportsData(data, source, now = Date.now()) {
+    return describeSportsItems(data, source, now).map(item => item.title);
+}
+
+module.exports = {
+    parseSportsData,
+    parseFixturesOptions,
+    describeSportsData,
+    describeSportsItems,
+    parseCsv,
+    kickoffTime,
+    involves,
+    upcomingFixtures,
+    latestResults,
+    countdown,
+    describeFixture,
+    describeResult,
+    describeStanding,
+    DEFAULT_TIME_ZONE
+};
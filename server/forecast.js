@@ -0,0 +1,290 @@
+// Structured weather forecasts for the `forecast` source type and /api/weather.
+//
+// normalizeForecast() reads an Open-Meteo /v1/forecast response or a Met Office
+// DataHub site-specific GeoJSON response into one shape, always in °C and mph:
+//
+//   { location, latitude, longitude, timeZone, provider, updatedAt,
+//     current: { time, temperature, windSpeed, windDirection, windCompass, precipitationProbability, condition },
+//     hourly: [{ time, temperature, windSpeed, windDirection, windCompass, precipitationProbability, condition }],
+//     daily: [{ date, min, max, precipitationProbability, condition }] }
+//
+// Times are ISO 8601 in UTC; describeForecast() renders them in the forecast's time zone.
+
+const DEFAULT_TIME_ZONE = 'Europe/London'; // the ticker's home, for providers that don't say
+const MAX_HOURS = 48;
+const WET_CHANCE = 50; // % chance of precipitation that counts as "wet" for an hour
+
+const CONDITION_LABELS = {
+    clear: 'clear skies',
+    'partly-cloudy': 'sunny spells',
+    cloudy: 'cloudy',
+    fog: 'fog',
+    drizzle: 'drizzle',
+    rain: 'rain',
+    showers: 'showers',
+    sleet: 'sleet',
+    snow: 'snow',
+    thunder: 'thunderstorms'
+};
+const WET_CONDITIONS = new Set(['drizzle', 'rain', 'showers', 'sleet', 'snow', 'thunder']);
+const COMPASS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+// WMO weather interpretation codes, as used by Open-Meteo
+function wmoCondition(code) {
+    if (code === null || code === undefined) return null;
+    if (code === 0) return 'clear';
+    if (code <= 2) return 'partly-cloudy';
+    if (code === 3) return 'cloudy';
+    if (code === 45 || code === 48) return 'fog';
+    if (code >= 51 && code <= 57) return 'drizzle';
+    if (code === 66 || code === 67) return 'sleet';
+    if (code >= 61 && code <= 65) return 'rain';
+    if (code >= 71 && code <= 77) return 'snow';
+    if (code >= 80 && code <= 82) return 'showers';
+    if (code === 85 || code === 86) return 'snow';
+    if (code >= 95) return 'thunder';
+    return null;
+}
+
+// Met Office significant weather codes
+function metOfficeCondition(code) {
+    if (code === null || code === undefined || code < 0) return null;
+    if (code <= 1) return 'clear';
+    if (code <= 4) return 'partly-cloudy';
+    if (code <= 6) return 'fog';
+    if (code <= 8) return 'cloudy';
+    if (code === 9 || code === 10 || code === 13 || code === 14) return 'showers';
+    if (code === 11) return 'drizzle';
+    if (code === 12 || code === 15) return 'rain';
+    if (code <= 21) return 'sleet'; // sleet and hail
+    if (code <= 27) return 'snow';
+    return 'thunder';
+}
+
+function round(value) {
+    return typeof value === 'number' && isFinite(value) ? Math.round(value) : null;
+}
+
+function toCelsius(value, unit) {
+    if (typeof value !== 'number') return null;
+    return /F/.test(unit || '') ? (value - 32) * 5 / 9 : value;
+}
+
+function toMph(value, unit) {
+    if (typeof value !== 'number') return null;
+    const factors = { mph: 1, 'km/h': 0.621371, 'm/s': 2.23694, kn: 1.15078 };
+    return value * (factors[unit] || factors['km/h']);
+}
+
+function compassPoint(degrees) {
+    if (typeof degrees !== 'number') return null;
+    return COMPASS[Math.round((((degrees % 360) + 360) % 360) / 45) % 8];
+}
+
+// Open-Meteo times are local wall-clock times offset by `utc_offset_seconds`
+function openMeteoTime(value, offsetSeconds) {
+    const ts = Date.parse(`${value}${/(Z|[+-]\d\d:?\d\d)$/.test(value) ? '' : 'Z'}`);
+    return isNaN(ts) ? null : new Date(ts - (offsetSeconds || 0) * 1000).toISOString();
+}
+
+// First present key, for fields Open-Meteo renamed (windspeed_10m -> wind_speed_10m)
+function field(block, ...keys) {
+    const key = keys.find(name => block && block[name] !== undefined);
+    return key ? { key, values: block[key] } : { key: null, values: undefined };
+}
+
+function openMeteoHours(data) {
+    const hourly = data.hourly || {};
+    const units = data.hourly_units || {};
+    const temperature = field(hourly, 'temperature_2m');
+    const windSpeed = field(hourly, 'wind_speed_10m', 'windspeed_10m');
+    const windDirection = field(hourly, 'wind_direction_10m', 'winddirection_10m');
+    const chance = field(hourly, 'precipitation_probability');
+    const code = field(hourly, 'weather_code', 'weathercode');
+    const at = (column, index) => (column.values ? column.values[index] : undefined);
+
+    return (hourly.time || []).map((time, index) => ({
+        time: openMeteoTime(time, data.utc_offset_seconds),
+        temperature: round(toCelsius(at(temperature, index), units[temperature.key])),
+        windSpeed: round(toMph(at(windSpeed, index), units[windSpeed.key])),
+        windDirection: at(windDirection, index) ?? null,
+        precipitationProbability: at(chance, index) ?? null,
+        condition: wmoCondition(at(code, index))
+    }));
+}
+
+// `current` (current=...) or the older `current_weather` block
+function openMeteoCurrent(data) {
+    if (data.current) {
+        const units = data.current_units || {};
+        const windSpeed = field(data.current, 'wind_speed_10m', 'windspeed_10m');
+        return {
+            time: openMeteoTime(data.current.time, data.utc_offset_seconds),
+            temperature: round(toCelsius(data.current.temperature_2m, units.temperature_2m)),
+            windSpeed: round(toMph(windSpeed.values, units[windSpeed.key])),
+            windDirection: field(data.current, 'wind_direction_10m', 'winddirection_10m').values ?? null,
+            condition: wmoCondition(field(data.current, 'weather_code', 'weathercode').values)
+        };
+    }
+    if (data.current_weather) {
+        const current = data.current_weather;
+        const units = data.current_weather_units || {};
+        return {
+            time: openMeteoTime(current.time, data.utc_offset_seconds),
+            temperature: round(toCelsius(current.temperature, units.temperature)),
+            windSpeed: round(toMph(current.windspeed, units.windspeed)),
+            windDirection: current.winddirection ?? null,
+            condition: wmoCondition(current.weathercode)
+        };
+    }
+    return null;
+}
+
+function openMeteoDays(data) {
+    const daily = data.daily || {};
+    const units = data.daily_units || {};
+    const code = field(daily, 'weather_code', 'weathercode').values || [];
+    return (daily.time || []).map((date, index) => ({
+        date,
+        min: round(toCelsius((daily.temperature_2m_min || [])[index], units.temperature_2m_min)),
+        max: round(toCelsius((daily.temperature_2m_max || [])[index], units.temperature_2m_max)),
+        precipitationProbability: (daily.precipitation_probability_max || [])[index] ?? null,
+        condition: wmoCondition(code[index])
+    }));
+}
+
+function fromOpenMeteo(data) {
+    return {
+        provider: 'open-meteo',
+        latitude: data.latitude,
+        longitude: data.longitude,
+        timeZone: data.timezone && data.timezone !== 'GMT' ? data.timezone : null,
+        current: openMeteoCurrent(data),
+        hourly: openMeteoHours(data),
+        daily: openMeteoDays(data)
+    };
+}
+
+// Met Office DataHub site-specific hourly forecast (GeoJSON FeatureCollection)
+function fromMetOffice(data) {
+    const feature = data.features[0];
+    const [longitude, latitude] = (feature.geometry && feature.geometry.coordinates) || [];
+    const properties = feature.properties || {};
+    const hourly = (properties.timeSeries || []).map(step => ({
+        time: new Date(step.time).toISOString(),
+        temperature: round(step.screenTemperature),
+        windSpeed: round(toMph(step.windSpeed10m, 'm/s')),
+        windDirection: step.windDirectionFrom10m ?? null,
+        precipitationProbability: step.probOfPrecipitation ?? null,
+        condition: metOfficeCondition(step.significantWeatherCode)
+    }));
+
+    return {
+        provider: 'met-office',
+        name: properties.location && properties.location.name,
+        latitude,
+        longitude,
+        timeZone: null,
+        current: null,
+        hourly,
+        daily: []
+    };
+}
+
+// Normalize a forecast document as of `opts.now`; `opts.updatedAt` is when it was fetched
+// (defaults to now). Throws when it is neither provider's shape.
+function normalizeForecast(data, opts = {}) {
+    let forecast;
+    if (data && data.hourly && Array.isArray(data.hourly.time)) {
+        forecast = fromOpenMeteo(data);
+    } else if (data && Array.isArray(data.features) && data.features[0] && data.features[0].properties &&
+            Array.isArray(data.features[0].properties.timeSeries)) {
+        forecast = fromMetOffice(data);
+    } else {
+        throw new Error('Unrecognised forecast document (expected Open-Meteo or Met Office JSON)');
+    }
+
+    const now = opts.now || Date.now();
+    const hours = forecast.hourly.filter(hour => hour.time);
+
+    // The latest hour that has started stands in for current conditions the provider left out
+    const currentHour = [...hours].reverse().find(hour => Date.parse(hour.time) <= now) || hours[0] || null;
+    const current = { ...(currentHour || {}), ...(forecast.current || {}) };
+    for (const key of Object.keys(current)) {
+        if (current[key] === null && currentHour) current[key] = currentHour[key];
+    }
+    if (current.precipitationProbability === undefined) current.precipitationProbability = null;
+
+    const withCompass = hour => ({ ...hour, windCompass: compassPoint(hour.windDirection) });
+    return {
+        location: opts.location || forecast.name || 'Forecast',
+        latitude: forecast.latitude ?? null,
+        longitude: forecast.longitude ?? null,
+        timeZone: opts.timeZone || forecast.timeZone || DEFAULT_TIME_ZONE,
+        provider: forecast.provider,
+        updatedAt: new Date(opts.updatedAt || now).toISOString(),
+        current: currentHour || forecast.current ? withCompass(current) : null,
+        hourly: hours.filter(hour => !currentHour || hour.time >= currentHour.time).slice(0, MAX_HOURS).map(withCompass),
+        daily: forecast.daily
+    };
+}
+
+function clockTime(iso, timeZone) {
+    return new Intl.DateTimeFormat('en-GB', { hour: '2-digit', minute: '2-digit', hourCycle: 'h23', timeZone })
+        .format(new Date(iso));
+}
+
+function isWet(hour) {
+    return WET_CONDITIONS.has(hour.condition) ||
+        (typeof hour.precipitationProbability === 'number' && hour.precipitationProbability >= WET_CHANCE);
+}
+
+function wetLabel(hour) {
+    return WET_CONDITIONS.has(hour.condition) ? CONDITION_LABELS[hour.condition] : 'rain';
+}
+
+// "Plymouth: 14°C, showers from 15:00, wind 20mph SW" for the next 12 hours from `now`
+function describeForecast(forecast, now = Date.now()) {
+    const parts = [];
+    const current = forecast.current || {};
+    if (current.temperature !== null && current.temperature !== undefined) parts.push(`${current.temperature}°C`);
+
+    const upcoming = forecast.hourly.filter(hour => {
+        const ts = Date.parse(hour.time);
+        return ts > now - 3600000 && ts <= now + 12 * 3600000;
+    });
+    const firstWet = upcoming.find(isWet);
+
+    if (isWet(current)) {
+        const dry = firstWet && upcoming.slice(upcoming.indexOf(firstWet)).find(hour => !isWet(hour));
+        parts.push(dry
+            ? `${wetLabel(current)} until ${clockTime(dry.time, forecast.timeZone)}`
+            : wetLabel(current));
+    } else if (firstWet && Date.parse(firstWet.time) > now) {
+        parts.push(`${wetLabel(firstWet)} from ${clockTime(firstWet.time, forecast.timeZone)}`);
+    } else if (current.condition) {
+        parts.push(`${CONDITION_LABELS[current.condition]}, staying dry`);
+    }
+
+    if (current.windSpeed !== null && current.windSpeed !== undefined) {
+        parts.push(`wind ${current.windSpeed}mph${current.windCompass ? ` ${current.windCompass}` : ''}`);
+    }
+    return `${forecast.location}: ${parts.join(', ')}`;
+}
+
+// "Plymouth tomorrow: 11–17°C, showers (60%)" from the daily forecast, or null without one
+function describeTomorrow(forecast, now = Date.now()) {
+    const today = new Intl.DateTimeFormat('en-CA', { timeZone: forecast.timeZone }).format(new Date(now));
+    const tomorrow = forecast.daily.find(day => day.date > today);
+    if (!tomorrow || tomorrow.max === null) return null;
+
+    const range = tomorrow.min !== null ? `${tomorrow.min}–${tomorrow.max}°C` : `high ${tomorrow.max}°C`;
+    const parts = [range];
+    if (tomorrow.condition) parts.push(CONDITION_LABELS[tomorrow.condition]);
+    if (typeof tomorrow.precipitationProbability === 'number' && tomorrow.precipitationProbability > 0) {
+        parts[parts.length - 1] += ` (${tomorrow.precipitationProbability}% chance of rain)`;
+    }
+    return `${forecast.location} tomorrow: ${parts.join(', ')}`;
+}
+
+module.exports = { normalizeForecast, describeForecast, describeTomorrow, compassPoint, DEFAULT_TIME_ZONE };
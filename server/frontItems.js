@@ -0,0 +1,179 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { Headline, summarize, toIsoDate } = require('./headline');
+
+// Editorial items shown ahead of a service's fetched headlines, kept in the service's front
+// JSON file (the `frontJson` entries in services.json, first one that loads):
+//
+//   {
+//     "items": [{ "title", "url", "source", "ts", "summary"?, "image"?, "pinned"?, "expiresAt"? }],
+//     "hidden": [{ "id", "title"?, "hiddenAt", "expiresAt"? }]
+//   }
+//
+// Items past their `expiresAt` are skipped when reading and dropped on the next write.
+// `hidden` lists headline ids (from any source) the editors have taken off the ticker.
+
+// Serialise read-modify-write cycles per file so concurrent admin calls don't lose updates
+const fileLocks = new Map();
+
+function isExpired(entry, now = Date.now()) {
+    if (!entry || !entry.expiresAt) return false;
+    const expires = new Date(entry.expiresAt).getTime();
+    return !isNaN(expires) && expires <= now;
+}
+
+// Front files are either a bare array or an object holding `items` (or `tweets`)
+function itemsKey(json) {
+    if (Array.isArray(json.items)) return 'items';
+    if (Array.isArray(json.tweets)) return 'tweets';
+    return 'items';
+}
+
+function toHeadline(item, serviceId, now = Date.now()) {
+    return new Headline(
+        item.title || `${item.hashtag || ''} @${item.username || 'user'}: ${item.comment || item.text || ''}`.trim(),
+        item.url || (item.username ? `https://twitter.com/${item.username}` : '#'),
+        (item.source || serviceId).toString(),
+        item.ts || now,
+        {
+            summary: summarize(item.summary || item.description),
+            image: item.image,
+            author: item.author,
+            publishedAt: toIsoDate(item.publishedAt),
+            categories: item.categories
+        }
+    );
+}
+
+// The service's front file and its parsed contents, or null when none of the candidates loads
+async function readFrontFile(service) {
+    for (const candidate of service.frontJson || []) {
+        const file = path.resolve(process.cwd(), candidate);
+        try {
+            const json = JSON.parse(await fs.readFile(file, 'utf8'));
+            return { file, json: Array.isArray(json) ? { items: json } : json };
+        } catch (e) {
+            // Try next candidate
+        }
+    }
+    return null;
+}
+
+// Front items as Headlines plus the set of hidden headline ids, both without expired entries
+async function loadFrontItems(service) {
+    const front = await readFrontFile(service);
+    if (!front) return { items: [], hidden: new Set() };
+
+    const now = Date.now();
+    const items = (front.json[itemsKey(front.json)] || [])
+        .filter(item => !isExpired(item, now))
+        .map(item => toHeadline(item, service.id, now));
+    const hidden = new Set((front.json.hidden || [])
+        .filter(entry => !isExpired(entry, now))
+        .map(entry => entry.id));
+    return { items, hidden };
+}
+
+// Unexpired front entries as stored, each item tagged with its headline id, for the admin API
+async function listFrontEntries(service) {
+    const front = await readFrontFile(service);
+    if (!front) return { items: [], hidden: [] };
+
+    const now = Date.now();
+    return {
+        items: (front.json[itemsKey(front.json)] || [])
+            .filter(item => !isExpired(item, now))
+            .map(item => ({ id: toHeadline(item, service.id, now).id, ...item })),
+        hidden: (front.json.hidden || []).filter(entry => !isExpired(entry, now))
+    };
+}
+
+// Apply `change(json, key)` to the service's front file and write it back atomically.
+// Creates the first configured file when none exists yet.
+function updateFrontFile(service, change) {
+    if (!service.frontJson || service.frontJson.length === 0) {
+        return Promise.reject(Object.assign(new Error(`Service "${service.id}" has no front JSON file`), { status: 400 }));
+    }
+
+    const primary = path.resolve(process.cwd(), service.frontJson[0]);
+    const previous = fileLocks.get(primary) || Promise.resolve();
+    const run = previous.catch(() => {}).then(async () => {
+        let front = await readFrontFile(service);
+        if (!front) {
+            // Never replace a file we merely failed to parse
+            const exists = await fs.access(primary).then(() => true, () => false);
+            if (exists) throw new Error(`Cannot parse ${service.frontJson[0]}, fix it by hand first`);
+            front = { file: primary, json: { items: [] } };
+        }
+        const key = itemsKey(front.json);
+        const now = Date.now();
+        front.json[key] = (front.json[key] || []).filter(item => !isExpired(item, now));
+        front.json.hidden = (front.json.hidden || []).filter(entry => !isExpired(entry, now));
+        if (front.json.hidden.length === 0) delete front.json.hidden;
+
+        const result = change(front.json, key);
+
+        const tmpFile = `${front.file}.tmp`;
+        await fs.writeFile(tmpFile, JSON.stringify(front.json, null, 2) + '\n');
+        await fs.rename(tmpFile, front.file);
+        return result;
+    });
+
+    fileLocks.set(primary, run);
+    run.finally(() => {
+        if (fileLocks.get(primary) === run) fileLocks.delete(primary);
+    }).catch(() => {});
+    return run;
+}
+
+// Add a pinned item ahead of the other front items; returns its Headline
+function addPin(service, fields) {
+    return updateFrontFile(service, (json, key) => {
+        const item = {
+            title: fields.title,
+            url: fields.url || '#',
+            source: fields.source || 'editor',
+            ts: new Date().toISOString(),
+            pinned: true
+        };
+        if (fields.summary) item.summary = fields.summary;
+        if (fields.image) item.image = fields.image;
+        if (fields.expiresAt) item.expiresAt = fields.expiresAt;
+
+        const headline = toHeadline(item, service.id);
+        json[key] = json[key].filter(existing => toHeadline(existing, service.id).id !== headline.id);
+        json[key].unshift(item);
+        return headline;
+    });
+}
+
+// Remove the front item with this headline id; returns false when there was none
+function removePin(service, id) {
+    return updateFrontFile(service, (json, key) => {
+        const before = json[key].length;
+        json[key] = json[key].filter(item => toHeadline(item, service.id).id !== id);
+        return json[key].length < before;
+    });
+}
+
+function hideHeadline(service, id, details = {}) {
+    return updateFrontFile(service, (json) => {
+        const entry = { id, hiddenAt: new Date().toISOString() };
+        if (details.title) entry.title = details.title;
+        if (details.expiresAt) entry.expiresAt = details.expiresAt;
+        json.hidden = [...(json.hidden || []).filter(existing => existing.id !== id), entry];
+        return entry;
+    });
+}
+
+// Returns false when the id wasn't hidden
+function unhideHeadline(service, id) {
+    return updateFrontFile(service, (json) => {
+        const hidden = json.hidden || [];
+        json.hidden = hidden.filter(entry => entry.id !== id);
+        if (json.hidden.length === 0) delete json.hidden;
+        return hidden.length > (json.hidden || []).length;
+    });
+}
+
+module.exports = { loadFrontItems, listFrontEntries, addPin, removePin, hideHeadline, unhideHeadline, isExpired };
@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+
+// Optional enrichment fields a source may fill in
+const DETAIL_FIELDS = ['summary', 'image', 'author', 'publishedAt', 'categories', 'media', 'lang'];
+const MAX_SUMMARY_LENGTH = 280;
+
+// Headline structure
+class Headline {
+    constructor(title, url, source, ts = Date.now(), details = {}) {
+        this.title = title;
+        this.url = url;
+        this.source = source;
+        this.ts = ts;
+        this.id = this.generateId();
+
+        // Only carry the details a source actually provided, to keep the API payload lean
+        for (const field of DETAIL_FIELDS) {
+            const value = details[field];
+            if (value === undefined || value === null || value === '') continue;
+            if (Array.isArray(value) && value.length === 0) continue;
+            this[field] = value;
+        }
+    }
+
+    generateId() {
+        return crypto.createHash('sha1').update(this.title + '|' + this.url).digest('hex');
+    }
+}
+
+// Plain-text summary: strip tags, collapse whitespace and trim to a ticker-card length
+function summarize(text, maxLength = MAX_SUMMARY_LENGTH) {
+    if (!text) return null;
+    const plain = String(text).replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+    if (plain.length <= maxLength) return plain || null;
+    return plain.slice(0, maxLength - 1).replace(/\s+\S*$/, '') + '…';
+}
+
+// ISO 8601 string for any date-ish value, or null when it can't be parsed
+function toIsoDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+module.exports = { Headline, DETAIL_FIELDS, summarize, toIsoDate };
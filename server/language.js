@@ -0,0 +1,67 @@
+// Headline languages: BCP 47 tags ("en", "cy", "ar", "zh-Hant"), declared by a source or a
+// `lang=` hint, or guessed from the script the title is written in.
+
+// Languages written right to left; the ticker sets dir="rtl" on their items
+const RTL_LANGUAGES = new Set(['ar', 'arc', 'ckb', 'dv', 'fa', 'he', 'ps', 'sd', 'syr', 'ug', 'ur', 'yi']);
+
+// Scripts that (nearly) identify a language. Latin, Cyrillic and Arabic script text is shared
+// by many languages, so only the most likely one is guessed for the latter two and Latin is
+// left to declarations and hints.
+const SCRIPT_LANGUAGES = [
+    ['ja', /[\p{Script=Hiragana}\p{Script=Katakana}]/gu],
+    ['ko', /\p{Script=Hangul}/gu],
+    ['zh', /\p{Script=Han}/gu],
+    ['ar', /\p{Script=Arabic}/gu],
+    ['he', /\p{Script=Hebrew}/gu],
+    ['el', /\p{Script=Greek}/gu],
+    ['ru', /\p{Script=Cyrillic}/gu],
+    ['th', /\p{Script=Thai}/gu],
+    ['hi', /\p{Script=Devanagari}/gu],
+    ['bn', /\p{Script=Bengali}/gu],
+    ['ta', /\p{Script=Tamil}/gu],
+    ['ka', /\p{Script=Georgian}/gu],
+    ['hy', /\p{Script=Armenian}/gu]
+];
+const MIN_SCRIPT_SHARE = 0.3; // of the title's letters
+
+// Canonical tag ("EN-gb" -> "en-GB"), or null when it isn't a well-formed language tag
+function normalizeLang(tag) {
+    if (typeof tag !== 'string' || !tag.trim()) return null;
+    try {
+        return Intl.getCanonicalLocales(tag.trim().replace(/_/g, '-'))[0] || null;
+    } catch {
+        return null;
+    }
+}
+
+// Best guess from the title's script, or null for Latin-script and mixed text
+function detectLanguage(text) {
+    const letters = (String(text || '').match(/\p{L}/gu) || []).length;
+    if (letters === 0) return null;
+
+    for (const [lang, pattern] of SCRIPT_LANGUAGES) {
+        const count = (String(text).match(pattern) || []).length;
+        // Japanese mixes kana with Han, so any real share of kana decides it
+        const share = lang === 'ja' ? count / letters * 3 : count / letters;
+        if (share >= MIN_SCRIPT_SHARE) return lang;
+    }
+    return null;
+}
+
+function primaryLanguage(lang) {
+    return String(lang || '').split('-')[0].toLowerCase();
+}
+
+function isRtl(lang) {
+    return RTL_LANGUAGES.has(primaryLanguage(lang));
+}
+
+// Does `lang` fall under `range`? "en" covers "en-GB"; "en-GB" only covers itself.
+function langMatches(lang, range) {
+    if (!lang || !range) return false;
+    const tag = lang.toLowerCase();
+    const wanted = range.toLowerCase();
+    return tag === wanted || tag.startsWith(`${wanted}-`);
+}
+
+module.exports = { normalizeLang, detectLanguage, primaryLanguage, isRtl, langMatches, RTL_LANGUAGES };
@@ -0,0 +1,164 @@
+// Query options for /api/news:
+//
+//   limit=<n>             page size (default 50, at most 200; the legacy array has no default)
+//   cursor=<token>        continue after the last headline of the previous page (`nextCursor`)
+//   since=<ts>            only headlines newer than an epoch-ms or ISO timestamp
+//   source=bbc,-manual    include sources matching any plain entry, drop those matching a `-` entry
+//   lang=en,cy            only headlines in these languages ("en" also matches "en-GB")
+//   fields=title,url      project each headline down to these keys
+//   q=argyle "home park" -betting
+//                         every term must start a word in the title, summary or source;
+//                         quote phrases, prefix `-` to exclude
+//   format=array          bare array instead of the envelope (what the ticker has always read)
+const { normalizeLang, langMatches } = require('./language');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+class QueryError extends Error {
+    constructor(message) {
+        super(message);
+        this.status = 400;
+    }
+}
+
+function lower(value) {
+    return (value || '').toString().toLowerCase();
+}
+
+function list(value) {
+    return (Array.isArray(value) ? value.join(',') : (value || ''))
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean);
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function timestampOf(value) {
+    if (typeof value === 'number') return value;
+    if (/^\d+$/.test(String(value))) return Number(value);
+    return new Date(value).getTime();
+}
+
+// `argyle "home park" -betting` -> [{ pattern, exclude }] matching at the start of a word
+function parseSearch(q) {
+    const terms = [];
+    const pattern = /(-?)(?:"([^"]+)"|(\S+))/g;
+    let match;
+    while ((match = pattern.exec(q || '')) !== null) {
+        const text = (match[2] || match[3] || '').trim();
+        if (!text || text === '-') continue;
+        terms.push({
+            exclude: match[1] === '-',
+            pattern: new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(text)}`, 'iu')
+        });
+    }
+    return terms;
+}
+
+function encodeCursor(headline) {
+    return Buffer.from(JSON.stringify({ id: headline.id, ts: timestampOf(headline.ts) })).toString('base64url');
+}
+
+function decodeCursor(token) {
+    try {
+        const cursor = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+        if (typeof cursor.id === 'string' && typeof cursor.ts === 'number') return cursor;
+    } catch {
+        // fall through
+    }
+    throw new QueryError('Invalid cursor');
+}
+
+function parseNewsQuery(query = {}) {
+    const legacy = query.format === 'array';
+    let limit = null;
+    if (query.limit !== undefined) {
+        limit = parseInt(query.limit, 10);
+        if (!(limit > 0)) throw new QueryError('limit must be a positive integer');
+        limit = Math.min(limit, MAX_LIMIT);
+    } else if (!legacy) {
+        limit = DEFAULT_LIMIT;
+    }
+
+    let since = null;
+    if (query.since !== undefined) {
+        since = timestampOf(query.since);
+        if (isNaN(since)) throw new QueryError('since must be an epoch-ms or ISO timestamp');
+    }
+
+    const langs = list(query.lang).map(entry => ({ entry, tag: normalizeLang(entry) }));
+    const badLang = langs.find(lang => !lang.tag);
+    if (badLang) throw new QueryError(`lang must be language tags like "en" or "cy", got "${badLang.entry}"`);
+
+    const sources = list(query.source);
+    return {
+        legacy,
+        limit,
+        since,
+        cursor: query.cursor ? decodeCursor(query.cursor) : null,
+        includeSources: sources.filter(entry => !entry.startsWith('-')).map(lower),
+        excludeSources: sources.filter(entry => entry.startsWith('-')).map(entry => lower(entry.slice(1))).filter(Boolean),
+        fields: list(query.fields),
+        langs: langs.map(lang => lang.tag),
+        search: parseSearch(query.q)
+    };
+}
+
+function matchesSource(headline, options) {
+    const labels = [headline.source, ...(headline.sources || []).map(member => member.source)].map(lower);
+    const matches = entries => entries.some(entry => labels.some(label => label.includes(entry)));
+    if (options.includeSources.length > 0 && !matches(options.includeSources)) return false;
+    return !matches(options.excludeSources);
+}
+
+function matchesSearch(headline, terms) {
+    const text = `${headline.title || ''} ${headline.summary || ''} ${headline.source || ''}`;
+    return terms.every(term => term.pattern.test(text) !== term.exclude);
+}
+
+function project(headline, fields) {
+    if (fields.length === 0) return headline;
+    const projected = {};
+    for (const field of fields) {
+        if (headline[field] !== undefined) projected[field] = headline[field];
+    }
+    return projected;
+}
+
+// Filter, page and project an ordered headline list.
+// Returns { items, total, nextCursor, sourceCounts }, counts taken over every matching headline.
+function applyNewsQuery(headlines, options) {
+    const matching = headlines.filter(headline =>
+        (options.since === null || timestampOf(headline.ts) > options.since) &&
+        matchesSource(headline, options) &&
+        (!options.langs || options.langs.length === 0 || options.langs.some(range => langMatches(headline.lang, range))) &&
+        matchesSearch(headline, options.search));
+
+    // Continue after the cursor's headline; if a refresh dropped it, with anything older than it
+    let remaining = matching;
+    if (options.cursor) {
+        const index = matching.findIndex(headline => headline.id === options.cursor.id);
+        remaining = index >= 0
+            ? matching.slice(index + 1)
+            : matching.filter(headline => timestampOf(headline.ts) < options.cursor.ts);
+    }
+    const page = options.limit === null ? remaining : remaining.slice(0, options.limit);
+
+    const sourceCounts = {};
+    for (const headline of matching) {
+        sourceCounts[headline.source] = (sourceCounts[headline.source] || 0) + 1;
+    }
+
+    return {
+        items: page.map(headline => project(headline, options.fields)),
+        total: matching.length,
+        nextCursor: remaining.length > page.length ? encodeCursor(page[page.length - 1]) : null,
+        sourceCounts
+    };
+}
+
+module.exports = { parseNewsQuery, applyNewsQuery, parseSearch, matchesSearch, QueryError, DEFAULT_LIMIT, MAX_LIMIT };
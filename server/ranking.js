@@ -0,0 +1,137 @@
+const fs = require('fs').promises;
+
+// Ranking configuration, read from `<source>.ranking.json` next to each service's .txt file:
+//
+//   {
+//     "halfLifeHours": 24,              // recency points halve every N hours
+//     "recencyWeight": 10,              // points for a brand new headline
+//     "sourceBoosts": { "pafc": 100 },  // substring of the source label or link host -> points
+//     "keywordBoosts": { "argyle": 20 },// substring of the title or summary -> points
+//     "urlBoosts": { "/plymouth-news/": 5 }, // substring of the link -> points
+//     "pinned": ["<id, url or title text>"],  // always first, in this order
+//     "blocklist": {
+//       "sources": ["manual"], "keywords": ["betting tips"],
+//       "sourceKeywords": { "plymouthherald": ["sport"] } // keywords dropped from that source only
+//     }
+//   }
+//
+// All matching is case-insensitive. Without a file, Plymouth sources lead and the rest
+// follow by recency, as the ticker has always done.
+const DEFAULT_RANKING = {
+    halfLifeHours: 24,
+    recencyWeight: 10,
+    sourceBoosts: { plymouth: 100, pafc: 100 },
+    keywordBoosts: {},
+    urlBoosts: {},
+    pinned: [],
+    blocklist: { sources: [], keywords: [], sourceKeywords: {} }
+};
+
+function rankingFileFor(sourcePath) {
+    return sourcePath.replace(/\.txt$/i, '') + '.ranking.json';
+}
+
+async function loadRankingConfig(sourcePath, file = rankingFileFor(sourcePath)) {
+    try {
+        const json = JSON.parse(await fs.readFile(file, 'utf8'));
+        return {
+            ...DEFAULT_RANKING,
+            ...json,
+            blocklist: { ...DEFAULT_RANKING.blocklist, ...(json.blocklist || {}) }
+        };
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.warn(`Invalid ranking config ${file}, using defaults:`, error.message);
+        }
+        return DEFAULT_RANKING;
+    }
+}
+
+function lower(value) {
+    return (value || '').toString().toLowerCase();
+}
+
+function hostOf(url) {
+    try {
+        return new URL(url).hostname.toLowerCase();
+    } catch {
+        return '';
+    }
+}
+
+// Headline timestamps are usually epoch ms, but front JSON files may hold ISO strings
+function timestampOf(headline) {
+    if (typeof headline.ts === 'number') return headline.ts;
+    return new Date(headline.ts).getTime() || 0;
+}
+
+function isBlocked(headline, config) {
+    const source = `${lower(headline.source)} ${hostOf(headline.url)}`;
+    const text = `${lower(headline.title)} ${lower(headline.summary)}`;
+    const { sources = [], keywords = [], sourceKeywords = {} } = config.blocklist || {};
+    const hasKeyword = list => list.some(match => text.includes(lower(match)));
+    return sources.some(match => source.includes(lower(match))) ||
+        hasKeyword(keywords) ||
+        Object.entries(sourceKeywords).some(([match, list]) => source.includes(lower(match)) && hasKeyword(list));
+}
+
+function pinIndex(headline, config) {
+    const title = lower(headline.title);
+    return (config.pinned || []).findIndex(pin => {
+        const match = lower(pin);
+        return match && (match === headline.id || match === lower(headline.url) || title.includes(match));
+    });
+}
+
+// Score one headline, returning the points and the rules that produced them
+function scoreHeadline(headline, config, now) {
+    const reasons = [];
+    const source = `${lower(headline.source)} ${hostOf(headline.url)}`;
+    const text = `${lower(headline.title)} ${lower(headline.summary)}`;
+    const url = lower(headline.url);
+
+    const addBoosts = (boosts, haystack, kind) => {
+        for (const [match, points] of Object.entries(boosts || {})) {
+            if (haystack.includes(lower(match))) reasons.push({ rule: `${kind}:${match}`, points });
+        }
+    };
+    addBoosts(config.sourceBoosts, source, 'source');
+    addBoosts(config.keywordBoosts, text, 'keyword');
+    addBoosts(config.urlBoosts, url, 'url');
+
+    const ageHours = Math.max(0, (now - timestampOf(headline)) / 3600000);
+    const recency = (config.recencyWeight || 0) * Math.pow(0.5, ageHours / (config.halfLifeHours || 24));
+    reasons.push({ rule: `recency:${ageHours.toFixed(1)}h`, points: Math.round(recency * 1000) / 1000 });
+
+    const score = reasons.reduce((total, reason) => total + reason.points, 0);
+    return { score: Math.round(score * 1000) / 1000, reasons };
+}
+
+// Drop blocklisted headlines, then order pinned first and the rest by score.
+// With `explain`, each returned headline is a copy carrying `rank: { score, pinned, reasons }`.
+function rankHeadlines(headlines, config = DEFAULT_RANKING, opts = {}) {
+    const now = opts.now || Date.now();
+
+    const ranked = headlines
+        .filter(headline => !isBlocked(headline, config))
+        .map(headline => ({ headline, pin: pinIndex(headline, config), ...scoreHeadline(headline, config, now) }))
+        .sort((a, b) => {
+            if (a.pin !== b.pin) {
+                if (a.pin === -1) return 1;
+                if (b.pin === -1) return -1;
+                return a.pin - b.pin;
+            }
+            if (b.score !== a.score) return b.score - a.score;
+            return timestampOf(b.headline) - timestampOf(a.headline);
+        });
+
+    if (!opts.explain) return ranked.map(entry => entry.headline);
+
+    return ranked.map(({ headline, pin, score, reasons }) => Object.assign(
+        Object.create(Object.getPrototypeOf(headline)),
+        headline,
+        { rank: { score, pinned: pin !== -1, reasons } }
+    ));
+}
+
+module.exports = { DEFAULT_RANKING, loadRankingConfig, rankHeadlines, rankingFileFor };
@@ -0,0 +1,191 @@
+const path = require('path');
+const EventEmitter = require('events');
+const { NewsSourceParser, CACHE_DIR } = require('./fetchNews');
+const { DEFAULT_RANKING, loadRankingConfig } = require('./ranking');
+
+// Configuration
+const DEFAULT_REFRESH_INTERVAL = 300000; // 5 minutes
+const STALE_AFTER_CYCLES = 3; // a source is stale once it has missed this many fetch windows
+
+// Headlines new to `next` (in ranked order) and the ids of those no longer present
+function diffHeadlines(previous, next) {
+    const previousIds = new Set(previous.map(headline => headline.id));
+    const nextIds = new Set(next.map(headline => headline.id));
+    return {
+        added: next.filter(headline => !previousIds.has(headline.id)),
+        removed: previous.filter(headline => !nextIds.has(headline.id)).map(headline => headline.id)
+    };
+}
+
+// Background refresher that owns the headline snapshot for every service.
+// Emits `update` (service, { added, removed, updatedAt }) when a refresh changes a snapshot.
+class NewsScheduler extends EventEmitter {
+    constructor(services, opts = {}) {
+        super();
+        this.services = services; // service -> { sourceFile, interval, ranking }
+        this.parser = opts.parser || new NewsSourceParser();
+        this.archive = opts.archive || null; // HeadlineArchive that remembers every snapshot's headlines
+        this.rootDir = opts.rootDir || process.cwd();
+        this.defaultInterval = opts.interval || DEFAULT_REFRESH_INTERVAL;
+        this.snapshots = new Map(); // service -> { headlines, updatedAt }
+        this.rankings = new Map(); // service -> ranking config used for the last refresh
+        this.inFlight = new Map(); // service -> Promise
+        this.timers = new Map(); // service -> interval handle
+    }
+
+    getCacheFile(service) {
+        const { sourceFile } = this.services[service];
+        return path.join(CACHE_DIR, `${path.basename(sourceFile, '.txt')}-cache.json`);
+    }
+
+    async start() {
+        await this.parser.loadMeta();
+
+        // Serve whatever was cached on disk until the first refresh lands
+        for (const service of Object.keys(this.services)) {
+            this.rankings.set(service, await this.loadRanking(service));
+            const headlines = await this.parser.loadHeadlines(this.getCacheFile(service));
+            if (headlines.length > 0) {
+                this.snapshots.set(service, { headlines, updatedAt: 0 });
+            }
+            this.schedule(service);
+        }
+
+        // Refresh services one at a time so startup doesn't hit every source at once
+        this.refreshAll().catch(error => console.error('Initial refresh failed:', error));
+    }
+
+    stop() {
+        for (const timer of this.timers.values()) {
+            clearInterval(timer);
+        }
+        this.timers.clear();
+    }
+
+    schedule(service) {
+        const interval = this.services[service].interval || this.defaultInterval;
+        const timer = setInterval(() => {
+            this.refresh(service).catch(() => {});
+        }, interval);
+        if (timer.unref) timer.unref();
+        this.timers.set(service, timer);
+    }
+
+    async refreshAll() {
+        for (const service of Object.keys(this.services)) {
+            await this.refresh(service).catch(() => {});
+        }
+    }
+
+    refresh(service) {
+        // Share a running refresh rather than scraping the same sources twice
+        if (this.inFlight.has(service)) return this.inFlight.get(service);
+
+        const run = (async () => {
+            const { sourceFile } = this.services[service];
+            try {
+                const sources = await this.parser.readSources(path.join(this.rootDir, sourceFile));
+                const ranking = await this.loadRanking(service);
+                this.rankings.set(service, ranking);
+                const headlines = await this.parser.fetchHeadlines(sources, { ranking });
+                const previous = this.snapshots.get(service);
+                const updatedAt = Date.now();
+                this.snapshots.set(service, { headlines, updatedAt });
+
+                const diff = diffHeadlines(previous ? previous.headlines : [], headlines);
+                if (diff.added.length > 0 || diff.removed.length > 0) {
+                    this.emit('update', service, { ...diff, updatedAt });
+                }
+
+                await this.parser.saveHeadlines(headlines, this.getCacheFile(service));
+                await this.parser.saveMeta();
+                if (this.archive) {
+                    await this.archive.record(service, headlines, updatedAt)
+                        .catch(error => console.error(`Failed to archive ${service} headlines:`, error.message));
+                }
+                console.log(`✅ Refreshed ${headlines.length} ${service} headlines at ${new Date().toISOString()}`);
+                return headlines;
+            } catch (error) {
+                console.error(`Error refreshing ${service} headlines:`, error.message);
+                throw error;
+            } finally {
+                this.inFlight.delete(service);
+            }
+        })();
+
+        this.inFlight.set(service, run);
+        return run;
+    }
+
+    loadRanking(service) {
+        const { sourceFile, ranking } = this.services[service];
+        const sourcePath = path.join(this.rootDir, sourceFile);
+        return ranking
+            ? loadRankingConfig(sourcePath, path.join(this.rootDir, ranking))
+            : loadRankingConfig(sourcePath);
+    }
+
+    getRanking(service) {
+        return this.rankings.get(service) || DEFAULT_RANKING;
+    }
+
+    // When the snapshot was last refreshed (ISO), or null while it is still the disk cache
+    getUpdatedAt(service) {
+        const snapshot = this.snapshots.get(service);
+        return snapshot && snapshot.updatedAt ? new Date(snapshot.updatedAt).toISOString() : null;
+    }
+
+    // Every directive in the service's source files with the outcome of its last fetch.
+    // state: pending (never fetched), error (last fetch failed), stale (no success for
+    // STALE_AFTER_CYCLES fetch windows), empty (fetched fine but found nothing) or ok
+    async getSourceHealth(service, now = Date.now()) {
+        const { sourceFile } = this.services[service];
+        const interval = this.services[service].interval || this.defaultInterval;
+        const sources = await this.parser.readSources(path.join(this.rootDir, sourceFile));
+        const iso = ts => ts ? new Date(ts).toISOString() : null;
+
+        return sources.map(source => {
+            const status = this.parser.meta.status.get(`${source.type} ${source.url}`) || {};
+            const sourceType = this.parser.sourceTypes.get(source.type);
+            const window = sourceType && sourceType.remote
+                ? Math.max(interval, this.parser.getRateLimit(source))
+                : interval;
+            const stale = !status.lastSuccess || now - status.lastSuccess > STALE_AFTER_CYCLES * window;
+
+            let state = 'ok';
+            if (!status.lastAttempt) state = 'pending';
+            else if (status.consecutiveFailures > 0) state = 'error';
+            else if (stale) state = 'stale';
+            else if (status.itemCount === 0) state = 'empty';
+
+            return {
+                type: source.type,
+                url: source.url,
+                ...(source.profile ? { profile: source.profile } : {}),
+                state,
+                stale,
+                lastSuccess: iso(status.lastSuccess),
+                lastAttempt: iso(status.lastAttempt),
+                lastError: status.lastError ? { message: status.lastError.message, at: iso(status.lastError.at) } : null,
+                consecutiveFailures: status.consecutiveFailures || 0,
+                itemCount: status.itemCount === undefined ? null : status.itemCount,
+                httpStatus: status.httpStatus || null,
+                latencyMs: status.latencyMs === undefined ? null : status.latencyMs
+            };
+        });
+    }
+
+    async getHeadlines(service) {
+        const snapshot = this.snapshots.get(service);
+        if (snapshot) return snapshot.headlines;
+
+        // Nothing cached yet: wait for the first refresh of this service
+        try {
+            return await this.refresh(service);
+        } catch (error) {
+            return [];
+        }
+    }
+}
+
+module.exports = { NewsScheduler, diffHeadlines, DEFAULT_REFRESH_INTERVAL };
@@ -0,0 +1,175 @@
+const cheerio = require('cheerio');
+
+// Built-in selector profiles, usable as `<profile-name> <url>` or `scrape <url> profile=<name>`.
+//
+//   item           elements to treat as one article card each
+//   title / link   selectors inside the item ('' means the item itself)
+//   date           optional selector inside the item (datetime/content attribute or text)
+//   image / summary optional selectors inside the item (img src/data-src, text)
+//   scan           only look at the first N items
+//   max            headlines to keep
+//   minTitleLength shortest title accepted
+//   excludeTitles / excludeLinks  substrings that reject a card (navigation, ads, category pages)
+//   fallback       overrides used for a second pass when the first finds fewer than `max`
+const SCRAPE_PROFILES = {
+    'plymouth-argyle': {
+        url: 'https://www.pafc.co.uk/news',
+        source: 'www.pafc.co.uk',
+        item: 'a[href*="/news/"]',
+        image: 'img',
+        scan: 20,
+        max: 3,
+        minTitleLength: 11,
+        excludeTitles: ['View all news', 'More news', 'Help and FAQs', 'Travel Club', 'Hospitality', 'Argyle TV',
+            'Seasonal', 'Miles Away', 'Latest News', 'homeparkstadium.com'],
+        excludeLinks: ['/argyle-tv/', '/travel/', '/hospitality/', 'homeparkstadium.com'],
+        fallback: {
+            title: 'h2, h3, h4, .news-title, .article-title, .headline, .title',
+            scan: null,
+            excludeTitles: ['Help and FAQs', 'Travel Club', 'Hospitality'],
+            excludeLinks: []
+        }
+    },
+    'plymouth-herald': {
+        url: 'https://www.plymouthherald.co.uk/news/',
+        source: 'www.plymouthherald.co.uk',
+        item: 'a[href*="/news/"]',
+        image: 'img',
+        scan: 100,
+        max: 8,
+        minTitleLength: 11,
+        excludeTitles: ['View all news', 'More news', 'Subscribe', 'Sign up', 'Advertise', 'Contact us', 'About us',
+            'Privacy Policy', 'Cookie Policy', 'Terms & Conditions', 'Latest News', 'Plymouth News', 'Celebs & TV',
+            'Devon News', 'Cornwall News', 'UK & World News'],
+        excludeLinks: ['/subscribe/', '/advertise/', '/contact/', '/plymouth-news/', '/devon-news/', '/cornwall-news/',
+            '/celebs-tv/', '/uk-world-news/'],
+        fallback: {
+            title: 'h2, h3, h4, .news-title, .article-title, .headline, .title, .card__title',
+            scan: null,
+            excludeTitles: ['Subscribe', 'Sign up', 'Advertise'],
+            excludeLinks: []
+        }
+    },
+    'plymouth-herald-sports': {
+        url: 'https://www.plymouthherald.co.uk/sport/football/',
+        source: 'www.plymouthherald.co.uk',
+        item: 'a[href*="/sport/"]',
+        image: 'img',
+        scan: 50,
+        max: 3,
+        minTitleLength: 11,
+        excludeTitles: ['View all sport', 'More sport', 'Subscribe', 'Sign up', 'Advertise', 'Contact us', 'About us',
+            'Privacy Policy', 'Cookie Policy', 'Terms & Conditions', 'Latest Sport', 'UK Sports News', 'Sport Opinion',
+            'Football', 'Rugby', 'Cricket', 'Athletics'],
+        excludeLinks: ['/subscribe/', '/advertise/', '/contact/', '/sport/football/', '/sport/rugby/', '/sport/cricket/',
+            '/sport/athletics/'],
+        fallback: {
+            title: 'h2, h3, h4, .sport-title, .article-title, .headline, .title, .card__title',
+            scan: null,
+            excludeTitles: ['Subscribe', 'Sign up', 'Advertise'],
+            excludeLinks: []
+        }
+    }
+};
+
+const DEFAULT_MAX_ITEMS = 10;
+
+// Parse `key=value` / `key="value with spaces"` options from a directive line
+function parseScrapeOptions(text) {
+    const options = {};
+    const pattern = /(\w+)=(?:"([^"]*)"|'([^']*)'|(\S+))/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        const value = match[2] !== undefined ? match[2] : (match[3] !== undefined ? match[3] : match[4]);
+        options[match[1].toLowerCase()] = value;
+    }
+    if (options.max) options.max = parseInt(options.max, 10) || DEFAULT_MAX_ITEMS;
+    return options;
+}
+
+function resolveUrl(href, pageUrl) {
+    try {
+        return new URL(href, pageUrl).href;
+    } catch {
+        return null;
+    }
+}
+
+function pick($, $item, selector) {
+    return selector ? $item.find(selector).first() : $item;
+}
+
+function readDate($el) {
+    if (!$el || $el.length === 0) return null;
+    const raw = $el.attr('datetime') || $el.attr('content') || $el.text().trim();
+    const ts = raw ? new Date(raw).getTime() : NaN;
+    return isNaN(ts) ? null : ts;
+}
+
+function readImage($el, pageUrl) {
+    if (!$el || $el.length === 0) return null;
+    const src = $el.attr('src') || $el.attr('data-src') || $el.attr('content');
+    return src ? resolveUrl(src, pageUrl) : null;
+}
+
+function collectItems($, pageUrl, profile, items, limit) {
+    const excludeTitles = profile.excludeTitles || [];
+    const excludeLinks = profile.excludeLinks || [];
+    const minTitleLength = profile.minTitleLength || 1;
+
+    $(profile.item).each((index, element) => {
+        if (profile.scan && index >= profile.scan) return false;
+        if (items.length >= limit) return false;
+
+        const $item = $(element);
+        const title = pick($, $item, profile.title).text().replace(/\s+/g, ' ').trim();
+
+        const $link = pick($, $item, profile.link);
+        const href = $link.attr('href') || $link.closest('a').attr('href') || $link.find('a').attr('href');
+
+        if (!title || !href || title.length < minTitleLength) return;
+        if (excludeTitles.some(text => title.includes(text))) return;
+        if (excludeLinks.some(text => href.includes(text))) return;
+
+        const url = resolveUrl(href, pageUrl);
+        if (!url) return;
+
+        items.push({
+            title,
+            url,
+            ts: profile.date ? readDate(pick($, $item, profile.date)) : null,
+            image: profile.image ? readImage(pick($, $item, profile.image), pageUrl) : null,
+            summary: profile.summary ? pick($, $item, profile.summary).text() : null
+        });
+    });
+
+    return items;
+}
+
+// Extract article cards from a page according to a selector profile
+function extractHeadlines(html, pageUrl, profile) {
+    const $ = cheerio.load(html);
+    const max = profile.max || DEFAULT_MAX_ITEMS;
+    const items = collectItems($, pageUrl, profile, [], Infinity);
+
+    if (profile.fallback && items.length < max) {
+        collectItems($, pageUrl, { ...profile, ...profile.fallback }, items, max);
+    }
+
+    // Drop repeated titles and links (ignoring query strings)
+    const unique = [];
+    const seenTitles = new Set();
+    const seenUrls = new Set();
+    for (const item of items) {
+        const normalizedTitle = item.title.toLowerCase();
+        const normalizedUrl = item.url.split('?')[0];
+        if (seenTitles.has(normalizedTitle) || seenUrls.has(normalizedUrl)) continue;
+        seenTitles.add(normalizedTitle);
+        seenUrls.add(normalizedUrl);
+        unique.push(item);
+    }
+
+    return unique.slice(0, max);
+}
+
+module.exports = { SCRAPE_PROFILES, parseScrapeOptions, extractHeadlines };
@@ -1,10 +1,147 @@
 const express = require('express');
 const path = require('path');
-const fs = require('fs').promises;
-const { NewsSourceParser } = require('./fetchNews');
+const crypto = require('crypto');
+const { NewsScheduler } = require('./scheduler');
+const { getSourceTypes } = require('./sources');
+const { rankHeadlines } = require('./ranking');
+const { loadServices, toPublicService } = require('./services');
+const { parseNewsQuery, applyNewsQuery } = require('./newsQuery');
+const { FEED_FORMATS } = require('./feeds');
+const { describeForecast, describeTomorrow } = require('./forecast');
+const { involves, countdown } = require('./fixtures');
+const { HeadlineArchive, parseArchiveQuery } = require('./archive');
+const { detectLanguage } = require('./language');
+const { validateSourceFiles, formatDiagnostic } = require('./fetchNews');
+const { loadFrontItems, listFrontEntries, addPin, removePin, hideHeadline, unhideHeadline } = require('./frontItems');
 
 const app = express();
 const PORT = process.env.PORT || 3005;
+const REFRESH_INTERVAL = (parseInt(process.env.NEWS_REFRESH_INTERVAL, 10) || 300) * 1000;
+const STREAM_HEARTBEAT_MS = 30000;
+const STREAM_RETRY_MS = 10000;
+const ADMIN_TOKEN = process.env.NEWS_ADMIN_TOKEN || '';
+const PUBLIC_URL = (process.env.NEWS_PUBLIC_URL || '').replace(/\/$/, ''); // for links in feeds behind a proxy
+const FEED_LIMIT = 50;
+const FIXTURES_LIMIT = 100;
+
+// Ticker services, from the services.json manifest
+const { services, byId: SERVICES, defaultService } = loadServices();
+
+const archive = new HeadlineArchive();
+const scheduler = new NewsScheduler(SERVICES, { interval: REFRESH_INTERVAL, archive });
+
+// Open /api/news/stream responses per service
+const streams = new Map();
+
+function resolveService(requested) {
+    return Object.keys(SERVICES).includes(requested) ? requested : defaultService;
+}
+
+// Front items and fetched headlines are matched on title|url
+function headlineKey(headline) {
+    return `${(headline.title || '').trim()}|${(headline.url || '').trim()}`;
+}
+
+// Headlines with no language of their own (e.g. front items) get a guess or the service's `lang`
+function withLanguage(service, headlines) {
+    const fallback = SERVICES[service].lang;
+    return headlines.map(headline => {
+        if (headline.lang) return headline;
+        const lang = detectLanguage(headline.title) || fallback;
+        return lang ? { ...headline, lang } : headline;
+    });
+}
+
+// The scheduler's snapshot for a service with its front items prepended and hidden ids removed.
+// `explainRank` re-scores the snapshot and attaches the reasons to each headline.
+async function getServiceHeadlines(service, opts = {}) {
+    let headlines = await scheduler.getHeadlines(service);
+    if (opts.explainRank) {
+        headlines = rankHeadlines(headlines, scheduler.getRanking(service), { explain: true });
+    }
+
+    const { items: frontItems, hidden } = await loadFrontItems(SERVICES[service]);
+
+    // Deduplicate by title|url, keeping front items first
+    const seen = new Set(frontItems.map(headlineKey));
+    const rest = headlines.filter(h => !seen.has(headlineKey(h)));
+    return withLanguage(service, [...frontItems, ...rest].filter(h => !hidden.has(h.id)));
+}
+
+// Send a diff to every ticker following this service
+function publishDiff(service, diff) {
+    const clients = streams.get(service);
+    if (!clients || clients.size === 0) return;
+    if (diff.added.length === 0 && diff.removed.length === 0) return;
+
+    const payload = JSON.stringify({ service, added: diff.added, removed: diff.removed, updatedAt: diff.updatedAt || Date.now() });
+    for (const res of clients) {
+        res.write(`event: diff\ndata: ${payload}\n\n`);
+    }
+}
+
+scheduler.on('update', async (service, diff) => {
+    // Front items are already shown ahead of the snapshot, and hidden ones stay hidden
+    const { items: frontItems, hidden } = await loadFrontItems(SERVICES[service]);
+    const frontKeys = new Set(frontItems.map(headlineKey));
+    const added = withLanguage(service, diff.added.filter(h => !frontKeys.has(headlineKey(h)) && !hidden.has(h.id)));
+    publishDiff(service, { ...diff, added });
+});
+
+// Constant-time comparison of the shared admin token
+function isAdminToken(token) {
+    const given = Buffer.from(token || '');
+    const expected = Buffer.from(ADMIN_TOKEN);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function requireAdmin(req, res, next) {
+    if (!ADMIN_TOKEN) {
+        return res.status(503).json({ error: 'Admin API disabled: set NEWS_ADMIN_TOKEN' });
+    }
+    const header = req.get('Authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : req.get('X-Admin-Token');
+    if (!isAdminToken(token)) {
+        return res.status(401).json({ error: 'Invalid admin token' });
+    }
+    next();
+}
+
+// Service named in the body or query string; admin calls must say which one they change
+function adminService(req, res) {
+    const service = (req.body && req.body.service) || req.query.service;
+    if (!SERVICES[service]) {
+        res.status(400).json({ error: `Unknown service "${service || ''}"` });
+        return null;
+    }
+    return service;
+}
+
+// `expiresAt` (ISO date) or `ttlMinutes`; undefined for no expiry, null when invalid
+function parseExpiry(body) {
+    if (body.ttlMinutes !== undefined) {
+        const minutes = Number(body.ttlMinutes);
+        return minutes > 0 ? new Date(Date.now() + minutes * 60000).toISOString() : null;
+    }
+    if (body.expiresAt !== undefined) {
+        const expires = new Date(body.expiresAt);
+        return isNaN(expires.getTime()) ? null : expires.toISOString();
+    }
+    return undefined;
+}
+
+function isHttpUrl(value) {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+}
+
+function sendAdminError(res, error) {
+    console.error('Admin update failed:', error.message);
+    res.status(error.status || 500).json({ error: error.message });
+}
 
 // Middleware
 app.use(express.json());
@@ -23,100 +160,294 @@ app.use((req, res, next) => {
   }
 });
 
-// News API endpoint
+// News API endpoint: an envelope with paging and per-source counts, or `format=array`
+// for the bare list the ticker reads (see newsQuery.js for the query options)
 app.get('/api/news', async (req, res) => {
     try {
-        const parser = new NewsSourceParser();
-        let headlines = [];
-        
-        // Determine which news source to use based on service parameter
-        const service = req.query.service || 'news';
-        let sourceFile = 'news.txt';
-        
-        switch (service) {
-            case 'local':
-                sourceFile = 'news-local.txt';
-                break;
-            case 'sports':
-                sourceFile = 'news-sports.txt';
-                break;
-            case 'weather':
-                sourceFile = 'news-weather.txt';
-                break;
-            case 'tweets':
-                sourceFile = 'news-tweets.txt';
-                break;
-            case 'entertainment':
-                sourceFile = 'news-entertainment.txt';
-                break;
-            default:
-                sourceFile = 'news.txt';
+        // Determine which news service to serve, defaulting to the main feed
+        const service = resolveService(req.query.service);
+        const options = parseNewsQuery(req.query);
+
+        // Serve the scheduler's latest snapshot instead of scraping per request
+        const headlines = await getServiceHeadlines(service, { explainRank: req.query.debug === 'rank' });
+        const result = applyNewsQuery(headlines, options);
+
+        if (options.legacy) {
+            return res.json(result.items);
         }
-        
-        // Try to load headlines for the specific service
-        try {
-            headlines = await parser.loadHeadlinesFromSource(sourceFile);
-        } catch (error) {
-            console.warn(`Failed to load ${service} headlines; returning empty list to avoid cross-service cache bleed:`, error.message);
-            // Do NOT fall back to global cache; that mixes unrelated stories
-            headlines = [];
+        res.json({
+            service,
+            generatedAt: new Date().toISOString(),
+            updatedAt: scheduler.getUpdatedAt(service),
+            total: result.total,
+            count: result.items.length,
+            nextCursor: result.nextCursor,
+            sources: result.sourceCounts,
+            items: result.items
+        });
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ error: error.message });
         }
+        console.error('Error serving news:', error);
+        res.status(500).json({ error: 'Failed to load news' });
+    }
+});
 
-        // Always prepend front-section JSON items if available for this service
-        const serviceToFrontJson = {
-            news: ['news.json', 'News.json'],
-            local: ['local.json', 'Local.json'],
-            sports: ['sports.json', 'Sports.json'],
-            weather: ['weather.json', 'Weather.json']
+// Feeds for readers and other sites: /api/news.rss, /api/news.atom and /api/news.json
+// (JSON Feed 1.1), taking the same service and filter options as /api/news
+app.get(/^\/api\/news\.(rss|atom|json)$/, async (req, res) => {
+    try {
+        const format = FEED_FORMATS[req.params[0]];
+        const service = resolveService(req.query.service);
+        const options = parseNewsQuery({ limit: FEED_LIMIT, ...req.query, cursor: undefined, fields: undefined });
+
+        const headlines = applyNewsQuery(await getServiceHeadlines(service), options).items;
+        const baseUrl = PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+        const { label } = SERVICES[service];
+        const feed = {
+            title: `Argyle Janner ${label}`,
+            description: `${label} headlines from the Argyle Janner news ticker`,
+            homeUrl: `${baseUrl}/`,
+            feedUrl: `${baseUrl}${req.originalUrl}`,
+            updated: new Date(scheduler.getUpdatedAt(service) || Date.now())
         };
 
-        async function loadFrontItems(candidates) {
-            for (const candidate of candidates || []) {
-                try {
-                    const fullPath = path.resolve(process.cwd(), candidate);
-                    const data = await fs.readFile(fullPath, 'utf8');
-                    const json = JSON.parse(data);
-                    const items = Array.isArray(json)
-                        ? json
-                        : (Array.isArray(json.items) ? json.items : (Array.isArray(json.tweets) ? json.tweets : []));
-                    const now = Date.now();
-                    return items.map(item => ({
-                        title: item.title || `${item.hashtag || ''} @${item.username || 'user'}: ${item.comment || item.text || ''}`.trim(),
-                        url: item.url || (item.username ? `https://twitter.com/${item.username}` : '#'),
-                        source: (item.source || service).toString(),
-                        ts: item.ts || now
-                    }));
-                } catch (e) {
-                    // Try next candidate
-                }
-            }
-            return [];
+        res.set('Content-Type', format.contentType);
+        res.set('Cache-Control', 'public, max-age=60');
+        res.send(format.render(feed, headlines));
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error serving feed:', error);
+        res.status(500).json({ error: 'Failed to build feed' });
+    }
+});
+
+// Live updates: Server-Sent Events carrying `diff` events ({ added, removed, updatedAt })
+// whenever a background refresh changes the service's snapshot
+app.get('/api/news/stream', (req, res) => {
+    const service = resolveService(req.query.service);
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${STREAM_RETRY_MS}\n`);
+    res.write(`event: ready\ndata: ${JSON.stringify({ service })}\n\n`);
+
+    if (!streams.has(service)) streams.set(service, new Set());
+    streams.get(service).add(res);
+
+    // Comment lines keep proxies from closing an idle connection
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        streams.get(service).delete(res);
+    });
+});
+
+// Admin API: editors pin, remove and hide headlines in a service's front JSON file.
+// Every call needs `Authorization: Bearer <NEWS_ADMIN_TOKEN>` and a `service`.
+app.get('/api/admin/pins', requireAdmin, async (req, res) => {
+    const service = adminService(req, res);
+    if (!service) return;
+
+    res.json({ service, ...await listFrontEntries(SERVICES[service]) });
+});
+
+app.post('/api/admin/pins', requireAdmin, async (req, res) => {
+    const service = adminService(req, res);
+    if (!service) return;
+
+    const { title, url, source, summary, image } = req.body;
+    const expiresAt = parseExpiry(req.body);
+    if (typeof title !== 'string' || !title.trim()) {
+        return res.status(400).json({ error: 'title is required' });
+    }
+    if (url && !isHttpUrl(url)) {
+        return res.status(400).json({ error: 'url must be an http(s) URL' });
+    }
+    if (expiresAt === null) {
+        return res.status(400).json({ error: 'expiresAt must be a date, ttlMinutes a positive number' });
+    }
+
+    try {
+        const headline = await addPin(SERVICES[service], { title: title.trim(), url, source, summary, image, expiresAt });
+        console.log(`📌 Pinned "${headline.title}" on ${service}${expiresAt ? ` until ${expiresAt}` : ''}`);
+        publishDiff(service, { added: [headline], removed: [] });
+        res.status(201).json({ ...headline, expiresAt });
+    } catch (error) {
+        sendAdminError(res, error);
+    }
+});
+
+app.delete('/api/admin/pins/:id', requireAdmin, async (req, res) => {
+    const service = adminService(req, res);
+    if (!service) return;
+
+    try {
+        if (!await removePin(SERVICES[service], req.params.id)) {
+            return res.status(404).json({ error: 'No pinned item with that id' });
         }
+        console.log(`📌 Removed pin ${req.params.id} from ${service}`);
+        publishDiff(service, { added: [], removed: [req.params.id] });
+        res.status(204).end();
+    } catch (error) {
+        sendAdminError(res, error);
+    }
+});
 
-        const frontItems = await loadFrontItems(serviceToFrontJson[service]);
+app.post('/api/admin/hide/:headlineId', requireAdmin, async (req, res) => {
+    const service = adminService(req, res);
+    if (!service) return;
+
+    const expiresAt = parseExpiry(req.body || {});
+    if (expiresAt === null) {
+        return res.status(400).json({ error: 'expiresAt must be a date, ttlMinutes a positive number' });
+    }
 
-        if (frontItems.length > 0) {
-            // Deduplicate by title|url, keeping front items first
-            const key = h => `${(h.title || '').trim()}|${(h.url || '').trim()}`;
-            const seen = new Set(frontItems.map(key));
-            const rest = headlines.filter(h => !seen.has(key(h)));
-            headlines = [...frontItems, ...rest];
+    try {
+        const headline = (await getServiceHeadlines(service)).find(h => h.id === req.params.headlineId);
+        if (!headline) {
+            return res.status(404).json({ error: 'No headline with that id on this service' });
         }
-        
-        // Apply query filter if provided
-        if (req.query.q) {
-            const query = req.query.q.toLowerCase();
-            headlines = headlines.filter(headline => 
-                headline.title.toLowerCase().includes(query) ||
-                headline.source.toLowerCase().includes(query)
-            );
+        const entry = await hideHeadline(SERVICES[service], headline.id, { title: headline.title, expiresAt });
+        console.log(`🙈 Hid "${headline.title}" on ${service}`);
+        publishDiff(service, { added: [], removed: [headline.id] });
+        res.status(201).json(entry);
+    } catch (error) {
+        sendAdminError(res, error);
+    }
+});
+
+app.delete('/api/admin/hide/:headlineId', requireAdmin, async (req, res) => {
+    const service = adminService(req, res);
+    if (!service) return;
+
+    try {
+        if (!await unhideHeadline(SERVICES[service], req.params.headlineId)) {
+            return res.status(404).json({ error: 'That headline is not hidden' });
         }
-        
-        res.json(headlines);
+        res.status(204).end();
     } catch (error) {
-        console.error('Error serving news:', error);
-        res.status(500).json({ error: 'Failed to load news' });
+        sendAdminError(res, error);
+    }
+});
+
+// Service manifest for the ticker's section cycle and settings menu
+app.get('/api/services', (req, res) => {
+    res.json({ default: defaultService, services: services.map(toPublicService) });
+});
+
+// Search every headline the ticker has shown, e.g. what it showed on a matchday:
+//   /api/archive?q=argyle&from=2025-08-16&to=2025-08-16&service=sports
+app.get('/api/archive', async (req, res) => {
+    try {
+        const options = parseArchiveQuery(req.query);
+        if (options.service && !SERVICES[options.service]) {
+            return res.status(400).json({ error: `Unknown service "${options.service}"` });
+        }
+        const result = await archive.search(options);
+        res.json({
+            generatedAt: new Date().toISOString(),
+            total: result.total,
+            count: result.items.length,
+            offset: options.offset,
+            items: result.items
+        });
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error searching the archive:', error);
+        res.status(500).json({ error: 'Failed to search the archive' });
+    }
+});
+
+// Structured forecasts from every `forecast` source, e.g. for a weather-aware canvas theme.
+// `?location=plymouth` narrows to one location (case-insensitive).
+app.get('/api/weather', (req, res) => {
+    const wanted = typeof req.query.location === 'string' ? req.query.location.trim().toLowerCase() : '';
+    const now = Date.now();
+    const locations = [...scheduler.parser.forecasts.values()]
+        .filter(forecast => !wanted || forecast.location.toLowerCase() === wanted)
+        .map(forecast => ({
+            ...forecast,
+            summary: describeForecast(forecast, now),
+            outlook: describeTomorrow(forecast, now)
+        }));
+
+    if (wanted && locations.length === 0) {
+        return res.status(404).json({ error: `No forecast for location "${req.query.location}"` });
     }
+    res.json({
+        generatedAt: new Date(now).toISOString(),
+        units: { temperature: '°C', windSpeed: 'mph' },
+        locations
+    });
+});
+
+// Fixtures and results from every fixtures-file / fixtures-url source, in kick-off order.
+//   ?team=argyle  ?status=upcoming|results|all  ?limit=<n>
+app.get('/api/sports/fixtures', (req, res) => {
+    const status = req.query.status || 'all';
+    if (!['upcoming', 'results', 'all'].includes(status)) {
+        return res.status(400).json({ error: 'status must be upcoming, results or all' });
+    }
+    const team = typeof req.query.team === 'string' ? req.query.team.trim() : '';
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || FIXTURES_LIMIT, 1), FIXTURES_LIMIT);
+    const now = Date.now();
+
+    // The same match listed by two sources is kept once, preferring the one with a score
+    const byId = new Map();
+    for (const data of scheduler.parser.sports.values()) {
+        for (const fixture of data.fixtures) {
+            const existing = byId.get(fixture.id);
+            if (!existing || (existing.status !== 'finished' && fixture.status === 'finished')) byId.set(fixture.id, fixture);
+        }
+    }
+
+    let fixtures = [...byId.values()]
+        .filter(fixture => involves(fixture, team))
+        .sort((a, b) => (a.date ? Date.parse(a.date) : Infinity) - (b.date ? Date.parse(b.date) : Infinity));
+    if (status === 'upcoming') {
+        fixtures = fixtures.filter(fixture => fixture.status === 'scheduled' && fixture.date && Date.parse(fixture.date) > now).slice(0, limit);
+    } else if (status === 'results') {
+        fixtures = fixtures.filter(fixture => fixture.status === 'finished').slice(-limit).reverse();
+    } else {
+        fixtures = fixtures.slice(0, limit);
+    }
+
+    res.json({
+        generatedAt: new Date(now).toISOString(),
+        fixtures: fixtures.map(fixture => (fixture.status === 'scheduled' && fixture.date && Date.parse(fixture.date) > now)
+            ? { ...fixture, countdown: countdown(fixture.date, now) }
+            : fixture)
+    });
+});
+
+// The league table from the first source that has one, or the one for ?competition=
+app.get('/api/sports/table', (req, res) => {
+    const wanted = typeof req.query.competition === 'string' ? req.query.competition.trim().toLowerCase() : '';
+    const match = [...scheduler.parser.sports.values()].find(data => data.table.length > 0 &&
+        (!wanted || (data.competition || '').toLowerCase() === wanted));
+
+    if (!match) {
+        return res.status(404).json({ error: wanted ? `No table for competition "${req.query.competition}"` : 'No league table source configured' });
+    }
+    res.json({
+        generatedAt: new Date().toISOString(),
+        updatedAt: match.updatedAt,
+        competition: match.competition,
+        team: match.team,
+        table: match.table
+    });
 });
 
 // Health check endpoint
@@ -124,12 +455,61 @@ app.get('/api/health', (req, res) => {
     res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
-// Start server
-app.listen(PORT, '0.0.0.0', () => {
-    console.log(`🚀 News ticker server running on port ${PORT}`);
-    console.log(`📰 News API: http://localhost:${PORT}/api/news`);
-    console.log(`🌐 Web interface: http://localhost:${PORT}/`);
-    console.log(`🔍 Health check: http://localhost:${PORT}/api/health`);
+// Per-directive diagnostics for every service (or `?service=<id>`): last success, last
+// error, item count, HTTP status, latency and staleness, from the parser's CacheMeta
+app.get('/api/health/sources', async (req, res) => {
+    try {
+        const ids = req.query.service ? [resolveService(req.query.service)] : services.map(service => service.id);
+        const report = [];
+        for (const id of ids) {
+            const sources = await scheduler.getSourceHealth(id);
+            const counts = {};
+            for (const source of sources) {
+                counts[source.state] = (counts[source.state] || 0) + 1;
+            }
+            report.push({
+                id,
+                sourceFile: SERVICES[id].sourceFile,
+                updatedAt: scheduler.getUpdatedAt(id),
+                counts,
+                sources
+            });
+        }
+
+        const degraded = report.some(service => service.counts.error || service.counts.stale);
+        res.json({ status: degraded ? 'degraded' : 'ok', generatedAt: new Date().toISOString(), services: report });
+    } catch (error) {
+        console.error('Error building source health:', error);
+        res.status(500).json({ error: 'Failed to read source status' });
+    }
 });
 
-module.exports = app;
+// Report problems in the source files up front; broken lines are skipped, not fatal
+async function checkSourceFiles() {
+    const diagnostics = await validateSourceFiles(services.map(service => service.sourceFile));
+    if (diagnostics.length === 0) {
+        console.log('✅ Source files OK');
+        return;
+    }
+    diagnostics.forEach(diagnostic => console.warn(`⚠️ ${formatDiagnostic(diagnostic)}`));
+    console.warn(`⚠️ ${diagnostics.length} problem(s) in source files; run \`node server/fetchNews.js --validate\` after fixing`);
+}
+
+// Tests require the app without starting the scheduler or listening
+if (require.main === module) {
+    checkSourceFiles().catch(error => console.error('Failed to validate source files:', error));
+
+    // Start background refresh and server
+    scheduler.start().catch(error => console.error('Failed to start news scheduler:', error));
+
+    app.listen(PORT, '0.0.0.0', () => {
+        console.log(`🚀 News ticker server running on port ${PORT}`);
+        console.log(`📰 News API: http://localhost:${PORT}/api/news`);
+        console.log(`🗂️ Services: ${services.map(service => service.id).join(', ')}`);
+        console.log(`🌐 Web interface: http://localhost:${PORT}/`);
+        console.log(`🔍 Health check: http://localhost:${PORT}/api/health`);
+        console.log(`🧩 Source types: ${[...new Set(getSourceTypes().values())].map(t => t.type).join(', ')}`);
+    });
+}
+
+module.exports = { app, scheduler };
@@ -0,0 +1,62 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeLang } = require('./language');
+
+// Service manifest: one entry per ticker section, read once at startup from services.json
+//
+//   { "id": "sports", "label": "Sports", "emoji": "⚽",
+//     "sourceFile": "news-sports.txt",           // directives the scheduler fetches
+//     "frontJson": ["sports.json"],              // editorial items shown ahead of fetched ones
+//     "backupFile": "backup-news-sports.txt",    // what the ticker reads when the API is down
+//     "ranking": "news-sports.ranking.json",     // defaults to <sourceFile>.ranking.json
+//     "refreshSeconds": 120,                     // defaults to NEWS_REFRESH_INTERVAL
+//     "lang": "en-GB" }                          // language of headlines that don't declare one
+const SERVICES_FILE = 'services.json';
+
+function loadServices(rootDir = process.cwd(), file = SERVICES_FILE) {
+    const fullPath = path.resolve(rootDir, file);
+    const json = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+    const services = [];
+
+    for (const entry of json.services || []) {
+        if (!entry.id || !entry.sourceFile) {
+            console.warn(`Skipping service without id/sourceFile in ${file}:`, JSON.stringify(entry));
+            continue;
+        }
+        if (services.some(service => service.id === entry.id)) {
+            console.warn(`Duplicate service "${entry.id}" in ${file}, keeping the first`);
+            continue;
+        }
+        const lang = entry.lang ? normalizeLang(entry.lang) : null;
+        if (entry.lang && !lang) {
+            console.warn(`Ignoring invalid lang "${entry.lang}" for service "${entry.id}" in ${file}`);
+        }
+        services.push({
+            id: entry.id,
+            label: entry.label || entry.id,
+            emoji: entry.emoji || '',
+            sourceFile: entry.sourceFile,
+            frontJson: entry.frontJson || [],
+            backupFile: entry.backupFile || `backup-${entry.sourceFile}`,
+            ranking: entry.ranking || null,
+            interval: entry.refreshSeconds ? entry.refreshSeconds * 1000 : null,
+            lang
+        });
+    }
+
+    if (services.length === 0) {
+        throw new Error(`No services defined in ${fullPath}`);
+    }
+
+    const byId = Object.fromEntries(services.map(service => [service.id, service]));
+    const defaultService = byId[json.default] ? json.default : services[0].id;
+    return { services, byId, defaultService };
+}
+
+// What the ticker needs to build its cycle, settings menu and offline fallback
+function toPublicService(service) {
+    const { id, label, emoji, sourceFile, frontJson, backupFile, lang } = service;
+    return { id, label, emoji, sourceFile, frontJson, backupFile, lang };
+}
+
+module.exports = { loadServices, toPublicService, SERVICES_FILE };
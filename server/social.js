@@ -0,0 +1,206 @@
+const { Headline, summarize, toIsoDate } = require('./headline');
+
+// Social posts from any platform, normalized before they become ticker headlines:
+//
+//   { platform, id, text, author, handle, permalink, publishedAt, lang, hashtags: ['pafc'],
+//     media: [{ type, url, preview, alt }] }
+//
+// Adapters below read Mastodon/ActivityPub statuses, Bluesky (app.bsky.feed.*) responses
+// and the hand-maintained Tweets.json. Hashtags are stored lower-case without the '#'.
+
+const MAX_TITLE_LENGTH = 200;
+
+// Whole words (and their common endings) masked before a post reaches the ticker
+const PROFANITY = [
+    'arse', 'arsehole', 'asshole', 'bastard', 'bellend', 'bitch', 'bollocks', 'bullshit',
+    'cock', 'crap', 'cunt', 'dick', 'dickhead', 'fuck', 'knob', 'motherfucker', 'piss',
+    'prick', 'shit', 'shite', 'slag', 'twat', 'wanker'
+];
+const PROFANITY_PATTERN = new RegExp(`\\b(${PROFANITY.join('|')})(s|es|ed|er|ers|ing|y)?\\b`, 'gi');
+
+// "fuck" -> "f***": keeps the first letter so the sentence still reads
+function maskProfanity(text) {
+    if (!text) return text;
+    return String(text).replace(PROFANITY_PATTERN, word => word[0] + '*'.repeat(word.length - 1));
+}
+
+// Mastodon statuses are HTML; keep line breaks as spaces and decode the common entities
+function htmlToText(html) {
+    return String(html || '')
+        .replace(/<br\s*\/?>|<\/p>/gi, ' ')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;|&apos;/g, "'")
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function normalizeTag(tag) {
+    return String(tag || '').replace(/^#/, '').trim().toLowerCase();
+}
+
+// Hashtags written in the text, for platforms that don't list them separately
+function hashtagsIn(text) {
+    return [...String(text || '').matchAll(/#([\p{L}\p{N}_]+)/gu)].map(match => normalizeTag(match[1]));
+}
+
+function unique(values) {
+    return [...new Set(values.filter(Boolean))];
+}
+
+// Links from federated servers are untrusted: only http(s) ones may reach the ticker
+function httpUrl(...candidates) {
+    return candidates.find(value => {
+        try {
+            return ['http:', 'https:'].includes(new URL(value).protocol);
+        } catch {
+            return false;
+        }
+    }) || null;
+}
+
+function fromMastodon(statuses) {
+    if (!Array.isArray(statuses)) throw new Error('Expected an array of Mastodon statuses');
+    return statuses.map(status => {
+        // A boost carries the original post; credit its author, not the booster
+        const post = status.reblog || status;
+        const account = post.account || {};
+        const text = post.spoiler_text
+            ? `CW: ${post.spoiler_text}`
+            : htmlToText(post.content);
+        return {
+            platform: 'mastodon',
+            id: post.uri || post.url || post.id,
+            text,
+            author: account.display_name || account.username || account.acct || null,
+            handle: account.acct || account.username || null,
+            permalink: httpUrl(post.url, post.uri, account.url),
+            publishedAt: toIsoDate(post.created_at),
+            lang: post.language || null,
+            hashtags: unique([...(post.tags || []).map(tag => normalizeTag(tag.name)), ...hashtagsIn(text)]),
+            media: post.sensitive ? [] : (post.media_attachments || []).map(attachment => ({
+                type: attachment.type,
+                url: attachment.url,
+                preview: attachment.preview_url || null,
+                alt: attachment.description || null
+            }))
+        };
+    });
+}
+
+function blueskyMedia(embed) {
+    if (!embed) return [];
+    // recordWithMedia wraps the images of a quote post in `media`
+    const media = embed.media || embed;
+    if (Array.isArray(media.images)) {
+        return media.images.map(image => ({ type: 'image', url: image.fullsize, preview: image.thumb || null, alt: image.alt || null }));
+    }
+    if (media.external && media.external.thumb) {
+        return [{ type: 'link', url: media.external.uri, preview: media.external.thumb, alt: media.external.title || null }];
+    }
+    return [];
+}
+
+// app.bsky.feed.searchPosts ({ posts }) or getFeed / getAuthorFeed ({ feed: [{ post }] })
+function fromBluesky(data) {
+    const posts = Array.isArray(data.posts) ? data.posts : (Array.isArray(data.feed) ? data.feed.map(item => item.post) : null);
+    if (!posts) throw new Error('Expected a Bluesky { posts } or { feed } response');
+
+    return posts.filter(Boolean).map(post => {
+        const record = post.record || {};
+        const author = post.author || {};
+        const rkey = String(post.uri || '').split('/').pop();
+        const facetTags = (record.facets || [])
+            .flatMap(facet => facet.features || [])
+            .filter(feature => feature.tag)
+            .map(feature => normalizeTag(feature.tag));
+        return {
+            platform: 'bluesky',
+            id: post.uri,
+            text: String(record.text || '').replace(/\s+/g, ' ').trim(),
+            author: author.displayName || author.handle || null,
+            handle: author.handle || null,
+            permalink: author.handle && rkey ? `https://bsky.app/profile/${author.handle}/post/${rkey}` : null,
+            publishedAt: toIsoDate(record.createdAt || post.indexedAt),
+            lang: Array.isArray(record.langs) && record.langs.length > 0 ? record.langs[0] : null,
+            hashtags: unique([...facetTags, ...(record.tags || []).map(normalizeTag), ...hashtagsIn(record.text)]),
+            media: blueskyMedia(post.embed)
+        };
+    });
+}
+
+// Tweets.json: [{ username, hashtag, comment, createdAt?, name?, url? }] or { tweets: [...] }
+function fromTweetsFile(data) {
+    const tweets = Array.isArray(data) ? data : (data && Array.isArray(data.tweets) ? data.tweets : null);
+    if (!tweets) throw new Error('Invalid tweets file format');
+
+    return tweets.map(item => {
+        const text = String(item.comment || item.text || '');
+        return {
+            platform: 'twitter',
+            id: item.id || null,
+            text,
+            hashtagLabel: item.hashtag || '',
+            author: item.name || item.username || null,
+            handle: item.username || null,
+            permalink: item.url || (item.username ? `https://twitter.com/${item.username}` : null),
+            publishedAt: toIsoDate(item.createdAt || item.created_at || item.ts),
+            lang: item.lang || null,
+            hashtags: unique([...hashtagsIn(item.hashtag), ...hashtagsIn(text)]),
+            media: (item.media || []).map(media => (typeof media === 'string' ? { type: 'image', url: media, preview: null, alt: null } : media))
+        };
+    });
+}
+
+// Posts carrying any of `tags` ('#pafc' or 'pafc'); every post when there are none
+function filterByHashtags(posts, tags = []) {
+    const wanted = tags.map(normalizeTag).filter(Boolean);
+    if (wanted.length === 0) return posts;
+    return posts.filter(post => post.hashtags.some(tag => wanted.includes(tag)));
+}
+
+// `#pafc #argyle` arguments after a social directive's URL
+function parseHashtags(args) {
+    return args.filter(arg => /^#[\p{L}\p{N}_]+$/u.test(arg)).map(normalizeTag);
+}
+
+function socialTitle(post) {
+    const text = maskProfanity(post.text.replace(/\s+/g, ' ').trim());
+    const handle = maskProfanity(post.handle);
+    if (post.platform === 'twitter') {
+        // The ticker's long-standing Tweets.json wording
+        return summarize(`${maskProfanity(post.hashtagLabel)} @${handle}: ${text}`, MAX_TITLE_LENGTH);
+    }
+    const who = handle ? `@${handle}` : maskProfanity(post.author) || 'someone';
+    return summarize(`${who}: ${text}`, MAX_TITLE_LENGTH);
+}
+
+// Ticker headline for a post, masked, with its real time, author, media and permalink
+function toSocialHeadline(post, label, fallbackUrl = '#') {
+    const published = post.publishedAt ? Date.parse(post.publishedAt) : Date.now();
+    const images = post.media.filter(media => media.type === 'image' || media.type === 'gifv' || media.type === 'link');
+    const summary = maskProfanity(post.text);
+    return new Headline(socialTitle(post), post.permalink || fallbackUrl, label, published, {
+        summary: summary && summary.length > MAX_TITLE_LENGTH ? summarize(summary) : null,
+        author: maskProfanity(post.author),
+        publishedAt: post.publishedAt,
+        image: images.length > 0 ? (images[0].preview || images[0].url) : null,
+        media: post.media.map(media => ({ ...media, alt: maskProfanity(media.alt) })),
+        categories: post.hashtags.map(tag => `#${maskProfanity(tag)}`),
+        lang: post.lang
+    });
+}
+
+module.exports = {
+    fromMastodon,
+    fromBluesky,
+    fromTweetsFile,
+    filterByHashtags,
+    parseHashtags,
+    maskProfanity,
+    htmlToText,
+    toSocialHeadline
+};
@@ -0,0 +1,22 @@
+const { fromBluesky, filterByHashtags, parseHashtags, toSocialHeadline } = require('../social');
+
+// Bluesky-style JSON feed: an app.bsky.feed.searchPosts, getFeed or getAuthorFeed response,
+// optionally narrowed to posts with any of the given hashtags:
+//   bluesky https://public.api.bsky.app/xrpc/app.bsky.feed.searchPosts?q=%23pafc [#pafc ...]
+module.exports = {
+    type: 'bluesky',
+    remote: true,
+
+    parse(parts) {
+        return { url: parts[1], hashtags: parseHashtags(parts.slice(2)) };
+    },
+
+    async fetch(source, context) {
+        const { parser } = context;
+        const response = await parser.conditionalGet(source.url, { cacheKey: context.cacheKey });
+        if (response.status === 304) return null;
+
+        const posts = filterByHashtags(fromBluesky(JSON.parse(response.data)), source.hashtags);
+        return posts.map(post => toSocialHeadline(post, 'Bluesky'));
+    }
+};
@@ -0,0 +1,66 @@
+const RSSParser = require('rss-parser');
+const { Headline, summarize, toIsoDate } = require('../headline');
+
+const FEED_ITEM_FIELDS = [
+    ['media:thumbnail', 'mediaThumbnail'],
+    ['media:content', 'mediaContent', { keepArray: true }]
+];
+
+// First image from media:thumbnail, an image media:content or an image enclosure
+function findImage(item) {
+    const thumbnail = item.mediaThumbnail && item.mediaThumbnail.$;
+    if (thumbnail && thumbnail.url) return thumbnail.url;
+
+    const media = (item.mediaContent || [])
+        .map(entry => entry.$ || {})
+        .find(attrs => attrs.url && (attrs.medium === 'image' || /^image\//.test(attrs.type || '')));
+    if (media) return media.url;
+
+    if (item.enclosure && item.enclosure.url && /^image\//.test(item.enclosure.type || '')) {
+        return item.enclosure.url;
+    }
+    return null;
+}
+
+function findCategories(item) {
+    return (item.categories || [])
+        .map(category => typeof category === 'string' ? category : (category._ || (category.$ && category.$.term)))
+        .filter(Boolean);
+}
+
+// RSS/Atom feed
+module.exports = {
+    type: 'feed',
+    remote: true,
+
+    parse(parts) {
+        return { url: parts[1] };
+    },
+
+    async fetch(source, context) {
+        const { parser } = context;
+        const url = source.url;
+        const response = await parser.conditionalGet(url, { cacheKey: context.cacheKey });
+        if (response.status === 304) return null;
+
+        const rss = new RSSParser({ customFields: { item: FEED_ITEM_FIELDS } });
+        const feed = await rss.parseString(response.data);
+        return (feed.items || []).map(item => {
+            const publishedAt = toIsoDate(item.isoDate || item.pubDate);
+            return new Headline(
+                item.title || 'Untitled',
+                item.link || url,
+                parser.getDomain(url),
+                publishedAt ? new Date(publishedAt).getTime() : Date.now(),
+                {
+                    summary: summarize(item.contentSnippet || item.summary || item.content),
+                    image: findImage(item),
+                    author: item.creator || item.author,
+                    publishedAt,
+                    categories: findCategories(item),
+                    lang: feed.language
+                }
+            );
+        });
+    }
+};
@@ -0,0 +1,27 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { Headline } = require('../headline');
+const { parseScrapeOptions } = require('../scraper');
+const { parseSportsData, parseFixturesOptions, describeSportsItems } = require('../fixtures');
+
+// Local fixtures/results or league table, as CSV or JSON (see server/fixtures.js):
+//   fixtures-file <path> team="Plymouth Argyle" [next=1] [results=1] [competition="League One"]
+// The parsed data is also kept for /api/sports/fixtures and /api/sports/table.
+module.exports = {
+    type: 'fixtures-file',
+
+    parse(parts, line) {
+        const url = parts[1];
+        return { url, ...parseFixturesOptions(parseScrapeOptions(line.slice(line.indexOf(url) + url.length))) };
+    },
+
+    async fetch(source, context) {
+        const text = await fs.readFile(path.resolve(process.cwd(), source.url), 'utf8');
+        const data = parseSportsData(text, { timeZone: source.timeZone });
+        const stored = { ...data, team: source.team, competition: source.competition, updatedAt: new Date(context.now).toISOString() };
+        context.parser.sports.set(context.cacheKey, stored);
+
+        return describeSportsItems(stored, source, context.now)
+            .map(item => new Headline(item.title, source.link || '#', source.label || 'fixtures', item.ts, { publishedAt: item.publishedAt, categories: ['Sport'] }));
+    }
+};
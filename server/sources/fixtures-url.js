@@ -0,0 +1,37 @@
+const { Headline } = require('../headline');
+const { parseScrapeOptions } = require('../scraper');
+const { parseSportsData, parseFixturesOptions, describeSportsItems } = require('../fixtures');
+
+// Remote fixtures/results or league table, as CSV or JSON; same options as fixtures-file:
+//   fixtures-url <url> team="Plymouth Argyle" [next=1] [results=1] [competition="League One"]
+// The countdowns are rebuilt from the kept data on every refresh, including 304s and
+// refreshes inside the rate limit, so "in 6 days" keeps counting and kicked-off games drop out.
+function render(source, context) {
+    const { parser, cacheKey, now } = context;
+    const data = parser.sports.get(cacheKey);
+    if (!data) return [];
+    return describeSportsItems(data, source, now)
+        .map(item => new Headline(item.title, source.link || '#', source.label || parser.getDomain(source.url), item.ts, { publishedAt: item.publishedAt, categories: ['Sport'] }));
+}
+
+module.exports = {
+    type: 'fixtures-url',
+    remote: true,
+
+    parse(parts, line) {
+        const url = parts[1];
+        return { url, ...parseFixturesOptions(parseScrapeOptions(line.slice(line.indexOf(url) + url.length))) };
+    },
+
+    async fetch(source, context) {
+        const { parser } = context;
+        const response = await parser.conditionalGet(source.url, { cacheKey: context.cacheKey });
+        if (response.status === 304) return null;
+
+        const data = parseSportsData(response.data, { timeZone: source.timeZone });
+        parser.sports.set(context.cacheKey, { ...data, team: source.team, competition: source.competition, updatedAt: new Date(context.now).toISOString() });
+        return render(source, context);
+    },
+
+    render
+};
@@ -0,0 +1,53 @@
+const { Headline } = require('../headline');
+const { parseScrapeOptions } = require('../scraper');
+const { normalizeForecast, describeForecast, describeTomorrow } = require('../forecast');
+
+// Re-normalize the last document as of context.now, so "showers from 15:00" and "tomorrow"
+// stay true between fetches. Lines are timed at the fetch, not at every refresh.
+function render(source, context) {
+    const { parser, cacheKey, now } = context;
+    const document = parser.forecastDocuments.get(cacheKey);
+    if (!document) return [];
+
+    const forecast = normalizeForecast(document.data, {
+        location: source.location,
+        timeZone: source.timeZone,
+        now,
+        updatedAt: document.fetchedAt
+    });
+    parser.forecasts.set(cacheKey, forecast);
+
+    const label = parser.getDomain(source.url);
+    const link = source.link || '#';
+    const details = { publishedAt: forecast.updatedAt, categories: ['Weather'] };
+    return [describeForecast(forecast, now), describeTomorrow(forecast, now)]
+        .filter(Boolean)
+        .map(title => new Headline(title, link, label, document.fetchedAt, details));
+}
+
+// Structured forecast document (Open-Meteo or Met Office DataHub JSON):
+//   forecast <url> location="Plymouth" [link=<page url>] [tz=Europe/London]
+// Renders "Plymouth: 14°C, showers from 15:00, wind 20mph SW" (plus tomorrow's outlook
+// when the document has daily data) and keeps the forecast itself for /api/weather.
+module.exports = {
+    type: 'forecast',
+    remote: true,
+
+    parse(parts, line) {
+        const url = parts[1];
+        const options = parseScrapeOptions(line.slice(line.indexOf(url) + url.length));
+        return { url, location: options.location || null, link: options.link || null, timeZone: options.tz || null };
+    },
+
+    async fetch(source, context) {
+        const response = await context.parser.conditionalGet(source.url, { cacheKey: context.cacheKey });
+        if (response.status === 304) return null;
+
+        const data = JSON.parse(response.data);
+        normalizeForecast(data); // rejects a document that is not a forecast before it replaces the last one
+        context.parser.forecastDocuments.set(context.cacheKey, { data, fetchedAt: context.now });
+        return render(source, context);
+    },
+
+    render
+};
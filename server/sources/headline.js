@@ -0,0 +1,24 @@
+const { Headline } = require('../headline');
+
+// Manual pin: headline "Title text" https://example.com/story
+module.exports = {
+    type: 'headline',
+
+    parse(parts) {
+        if (parts.length < 3) return null;
+        const url = parts[parts.length - 1];
+        const raw = parts.slice(1, -1).join(' ');
+
+        // Reject an unbalanced quote or a missing link rather than guess
+        const quoted = raw.startsWith('"');
+        if (quoted !== raw.endsWith('"') || (quoted && raw.length < 2)) return null;
+        const title = quoted ? raw.slice(1, -1).trim() : raw;
+        if (!title || !/^(https?:\/\/|\/|#)/.test(url)) return null;
+
+        return { title, url };
+    },
+
+    async fetch(source) {
+        return [new Headline(source.title, source.url, 'manual')];
+    }
+};
@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+
+// Source type registry
+//
+// Every other .js file in this directory is a source type module:
+//
+//   module.exports = {
+//       type: 'my-directive',          // name used in the news .txt files
+//       aliases: ['other-name'],       // optional extra directive names
+//       remote: true,                  // fetched over HTTP, so rate limited and 304-aware
+//       parse(parts, line) { ... },    // split line -> source fields, or null to skip the line
+//       async fetch(source, context) { ... } // -> Headline[] (or null for "not modified")
+//   };
+//
+// `fetch` should throw when the source can't be read: the parser logs it, keeps the
+// source's previous headlines and reports the error on /api/health/sources.
+//
+// `context` carries the NewsSourceParser (`context.parser`) and the key under which
+// this source's last headlines are cached (`context.cacheKey`).
+
+let registry = null;
+
+function defaultParse(parts) {
+    return { url: parts[1] };
+}
+
+function loadSourceTypes(dir = __dirname) {
+    const types = new Map();
+
+    for (const file of fs.readdirSync(dir).sort()) {
+        if (!file.endsWith('.js') || file === 'index.js') continue;
+
+        const sourceType = require(path.join(dir, file));
+        if (!sourceType.type || typeof sourceType.fetch !== 'function') {
+            console.warn(`Skipping source module ${file}: it must export a type and a fetch() function`);
+            continue;
+        }
+        if (typeof sourceType.parse !== 'function') sourceType.parse = defaultParse;
+
+        for (const name of [sourceType.type, ...(sourceType.aliases || [])]) {
+            if (types.has(name)) {
+                console.warn(`Source directive "${name}" from ${file} overrides ${types.get(name).type}`);
+            }
+            types.set(name, sourceType);
+        }
+    }
+
+    return types;
+}
+
+// Loaded once, on first use
+function getSourceTypes() {
+    if (!registry) registry = loadSourceTypes();
+    return registry;
+}
+
+module.exports = { getSourceTypes, loadSourceTypes };
@@ -0,0 +1,34 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { Headline, summarize, toIsoDate } = require('../headline');
+
+// Local JSON file of items (an array, or { items } / { tweets })
+module.exports = {
+    type: 'json-file',
+    aliases: ['entertainment-file'],
+
+    parse(parts) {
+        return { url: parts[1] };
+    },
+
+    async fetch(source) {
+        const fullPath = path.resolve(process.cwd(), source.url);
+        const data = JSON.parse(await fs.readFile(fullPath, 'utf8'));
+        const items = Array.isArray(data) ? data : (Array.isArray(data.items) ? data.items : (Array.isArray(data.tweets) ? data.tweets : []));
+        const now = Date.now();
+        return items.map(item => new Headline(
+            item.title || `${item.hashtag || ''} @${item.username || 'user'}: ${item.comment || item.text || ''}`.trim(),
+            item.url || (item.username ? `https://twitter.com/${item.username}` : '#'),
+            (item.source || 'json').toString(),
+            item.ts || (toIsoDate(item.publishedAt) ? new Date(item.publishedAt).getTime() : now),
+            {
+                summary: summarize(item.summary || item.description),
+                image: item.image,
+                author: item.author || item.username,
+                publishedAt: toIsoDate(item.publishedAt || item.ts),
+                categories: item.categories,
+                lang: item.lang
+            }
+        ));
+    }
+};
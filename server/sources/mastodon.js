@@ -0,0 +1,39 @@
+const { fromMastodon, filterByHashtags, parseHashtags, toSocialHeadline } = require('../social');
+
+const PAGE_SIZE = 20;
+
+// Public hashtag timeline on a Mastodon (or other Mastodon-API ActivityPub) server:
+//   mastodon https://mastodon.social #pafc [#argyle ...]
+// A full /api/v1/timelines/... URL is used as given, filtered by any hashtags after it.
+module.exports = {
+    type: 'mastodon',
+    aliases: ['activitypub'],
+    remote: true,
+
+    parse(parts) {
+        const hashtags = parseHashtags(parts.slice(2));
+        if (/\/api\/v1\//.test(parts[1])) return { url: parts[1], hashtags };
+        if (hashtags.length === 0) return null; // nothing to follow on a bare server URL
+
+        let origin;
+        try {
+            origin = new URL(parts[1]).origin;
+        } catch {
+            return { url: parts[1], hashtags }; // reported as a bad URL by the reader
+        }
+        const others = hashtags.slice(1).map(tag => `&any[]=${encodeURIComponent(tag)}`).join('');
+        return { url: `${origin}/api/v1/timelines/tag/${encodeURIComponent(hashtags[0])}?limit=${PAGE_SIZE}${others}`, hashtags };
+    },
+
+    async fetch(source, context) {
+        const { parser } = context;
+        const response = await parser.conditionalGet(source.url, { cacheKey: context.cacheKey });
+        if (response.status === 304) return null;
+
+        const posts = filterByHashtags(fromMastodon(JSON.parse(response.data)), source.hashtags);
+        // Posts without a usable permalink link to the hashtag's page on the server
+        const origin = new URL(source.url).origin;
+        const timeline = source.hashtags.length > 0 ? `${origin}/tags/${encodeURIComponent(source.hashtags[0])}` : origin;
+        return posts.map(post => toSocialHeadline(post, parser.getDomain(source.url), timeline));
+    }
+};
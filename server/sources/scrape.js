@@ -0,0 +1,48 @@
+const { Headline, summarize, toIsoDate } = require('../headline');
+const { SCRAPE_PROFILES, parseScrapeOptions, extractHeadlines } = require('../scraper');
+
+// Declarative CSS-selector scraper:
+//   scrape <url> item=<selector> title=<selector> link=<selector> [date=<selector>]
+//          [image=<selector>] [summary=<selector>] [max=<n>]
+//   scrape <url> profile=plymouth-herald
+// Each built-in profile is also its own directive, e.g. `plymouth-herald <url>`.
+module.exports = {
+    type: 'scrape',
+    aliases: Object.keys(SCRAPE_PROFILES),
+    remote: true,
+
+    parse(parts, line) {
+        const directive = parts[0].toLowerCase();
+        const url = parts[1];
+        const options = parseScrapeOptions(line.slice(line.indexOf(url) + url.length));
+        const profile = directive === 'scrape' ? options.profile : directive;
+        delete options.profile;
+
+        if (profile && !SCRAPE_PROFILES[profile]) {
+            console.warn(`Unknown scrape profile "${profile}" for ${url}`);
+            return null;
+        }
+        if (!profile && !options.item) {
+            console.warn(`scrape ${url} needs an item=<selector> or profile=<name>`);
+            return null;
+        }
+
+        return { url, profile: profile || null, options };
+    },
+
+    async fetch(source, context) {
+        const profileName = source.profile || (SCRAPE_PROFILES[source.type] ? source.type : null);
+        const profile = { ...(SCRAPE_PROFILES[profileName] || {}), ...source.options };
+        const url = source.url || profile.url;
+        const response = await context.parser.conditionalGet(url, { timeout: 15000, cacheKey: context.cacheKey });
+        if (response.status === 304) return null;
+
+        const label = profile.source || context.parser.getDomain(url);
+        return extractHeadlines(response.data, url, profile)
+            .map(item => new Headline(item.title, item.url, label, item.ts || Date.now(), {
+                summary: summarize(item.summary),
+                image: item.image,
+                publishedAt: toIsoDate(item.ts)
+            }));
+    }
+};
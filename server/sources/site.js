@@ -0,0 +1,89 @@
+const cheerio = require('cheerio');
+const { Headline, summarize, toIsoDate } = require('../headline');
+
+// JSON-LD allows a string, an object with url/name, or an array of either
+function jsonLdValue(value, key) {
+    if (!value) return null;
+    if (typeof value === 'string') return value;
+    if (Array.isArray(value)) return jsonLdValue(value[0], key);
+    return value[key] || null;
+}
+
+function jsonLdDetails(data) {
+    return {
+        summary: summarize(data.description),
+        image: jsonLdValue(data.image, 'url'),
+        author: jsonLdValue(data.author, 'name'),
+        publishedAt: toIsoDate(data.datePublished),
+        categories: [].concat(data.keywords || []).filter(keyword => typeof keyword === 'string')
+    };
+}
+
+// Generic web page, discovered via OpenGraph, JSON-LD or the <title> tag
+module.exports = {
+    type: 'site',
+    aliases: ['url'],
+    remote: true,
+
+    parse(parts) {
+        return { url: parts[1] };
+    },
+
+    async fetch(source, context) {
+        const { parser } = context;
+        const url = source.url;
+        const domain = parser.getDomain(url);
+        const response = await parser.conditionalGet(url, { cacheKey: context.cacheKey });
+        if (response.status === 304) {
+            console.log(`Content not modified for ${url}`);
+            return null;
+        }
+
+        const $ = cheerio.load(response.data);
+        const headlines = [];
+        const meta = name => $(`meta[property="${name}"], meta[name="${name}"]`).attr('content');
+
+        // Page-level details from OpenGraph / article meta tags
+        const publishedAt = toIsoDate(meta('article:published_time'));
+        const pageDetails = {
+            summary: summarize(meta('og:description') || meta('description')),
+            image: meta('og:image'),
+            author: meta('article:author') || meta('author'),
+            publishedAt,
+            categories: $('meta[property="article:tag"]').map((i, el) => $(el).attr('content')).get()
+        };
+        const pageTs = publishedAt ? new Date(publishedAt).getTime() : Date.now();
+
+        // Try OpenGraph first
+        const ogTitle = $('meta[property="og:title"]').attr('content');
+        const ogUrl = $('meta[property="og:url"]').attr('content');
+        if (ogTitle && ogUrl) {
+            headlines.push(new Headline(ogTitle, ogUrl, domain, pageTs, pageDetails));
+        }
+
+        // Try JSON-LD
+        $('script[type="application/ld+json"]').each((i, el) => {
+            try {
+                const data = JSON.parse($(el).html());
+                if (data['@type'] === 'NewsArticle' && data.headline) {
+                    const details = jsonLdDetails(data);
+                    const ts = details.publishedAt ? new Date(details.publishedAt).getTime() : Date.now();
+                    headlines.push(new Headline(data.headline, data.url || url, domain, ts, details));
+                }
+            } catch (e) {
+                // Invalid JSON, skip
+            }
+        });
+
+        // Fallback to title tag
+        if (headlines.length === 0) {
+            const title = $('title').text().trim();
+            if (title) {
+                headlines.push(new Headline(title, url, domain, pageTs, pageDetails));
+            }
+        }
+
+        return headlines;
+
+    }
+};
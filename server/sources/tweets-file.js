@@ -0,0 +1,20 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { fromTweetsFile, filterByHashtags, parseHashtags, toSocialHeadline } = require('../social');
+
+// Hand-maintained Tweets.json of { username, hashtag, comment } (plus optional createdAt,
+// name, url and media), optionally narrowed to posts with any of the given hashtags:
+//   tweets-file Tweets.json [#pafc ...]
+module.exports = {
+    type: 'tweets-file',
+
+    parse(parts) {
+        return { url: parts[1], hashtags: parseHashtags(parts.slice(2)) };
+    },
+
+    async fetch(source) {
+        const fullPath = path.resolve(process.cwd(), source.url);
+        const posts = fromTweetsFile(JSON.parse(await fs.readFile(fullPath, 'utf8')));
+        return filterByHashtags(posts, source.hashtags).map(post => toSocialHeadline(post, 'Twitter'));
+    }
+};
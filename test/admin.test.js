@@ -0,0 +1,131 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Headline } = require('../server/headline');
+const { startApp, quietly } = require('./helpers');
+
+const TOKEN = 'test-admin-token';
+const FETCHED = new Headline('Argyle sign a new striker', 'https://pafc.test/striker', 'www.pafc.co.uk');
+
+let server;
+let tmpDir;
+let frontFile;
+
+before(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ticker-admin-'));
+    frontFile = path.join(tmpDir, 'sports.json');
+    server = await startApp({ NEWS_ADMIN_TOKEN: TOKEN });
+    server.scheduler.services.sports.frontJson = [frontFile];
+    server.scheduler.snapshots.set('sports', { headlines: [FETCHED], updatedAt: Date.now() });
+});
+
+after(async () => {
+    await server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function admin(method, route, body, token = TOKEN) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    return quietly(() => fetch(`${server.baseUrl}${route}`, { method, headers, body: body ? JSON.stringify(body) : undefined }));
+}
+
+async function sportsTitles() {
+    const body = await (await fetch(`${server.baseUrl}/api/news?service=sports&format=array`)).json();
+    return body.map(headline => headline.title);
+}
+
+function readFront() {
+    return JSON.parse(fs.readFileSync(frontFile, 'utf8'));
+}
+
+test('the admin API is off without NEWS_ADMIN_TOKEN', async () => {
+    const disabled = await startApp({ NEWS_ADMIN_TOKEN: undefined });
+    try {
+        const response = await fetch(`${disabled.baseUrl}/api/admin/pins?service=sports`, { headers: { Authorization: `Bearer ${TOKEN}` } });
+        assert.equal(response.status, 503);
+    } finally {
+        await disabled.close();
+    }
+});
+
+test('calls without the right token get 401', async () => {
+    assert.equal((await admin('GET', '/api/admin/pins?service=sports', null, null)).status, 401);
+    assert.equal((await admin('GET', '/api/admin/pins?service=sports', null, 'wrong')).status, 401);
+    assert.equal((await admin('GET', '/api/admin/pins?service=sports', null, `${TOKEN}x`)).status, 401);
+
+    const viaHeader = await fetch(`${server.baseUrl}/api/admin/pins?service=sports`, { headers: { 'X-Admin-Token': TOKEN } });
+    assert.equal(viaHeader.status, 200);
+});
+
+test('admin calls must name a known service', async () => {
+    const response = await admin('POST', '/api/admin/pins', { service: 'cricket', title: 'Howzat' });
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).error, /Unknown service "cricket"/);
+});
+
+test('pins are written to the front JSON file, listed, served first and removed', async () => {
+    const created = await admin('POST', '/api/admin/pins', { service: 'sports', title: 'Match postponed', url: 'https://pafc.test/postponed' });
+    assert.equal(created.status, 201);
+    const pin = await created.json();
+
+    assert.deepEqual(readFront().items.map(item => [item.title, item.pinned]), [['Match postponed', true]]);
+    const listed = await (await admin('GET', '/api/admin/pins?service=sports')).json();
+    assert.deepEqual(listed.items.map(item => item.id), [pin.id]);
+    assert.deepEqual(await sportsTitles(), ['Match postponed', 'Argyle sign a new striker']);
+
+    assert.equal((await admin('DELETE', `/api/admin/pins/${pin.id}?service=sports`)).status, 204);
+    assert.deepEqual(readFront().items, []);
+    assert.deepEqual(await sportsTitles(), ['Argyle sign a new striker']);
+    assert.equal((await admin('DELETE', `/api/admin/pins/${pin.id}?service=sports`)).status, 404);
+});
+
+test('bad pins are rejected', async () => {
+    assert.equal((await admin('POST', '/api/admin/pins', { service: 'sports' })).status, 400);
+    assert.equal((await admin('POST', '/api/admin/pins', { service: 'sports', title: 'x', url: 'javascript:alert(1)' })).status, 400);
+    assert.equal((await admin('POST', '/api/admin/pins', { service: 'sports', title: 'x', ttlMinutes: -5 })).status, 400);
+    assert.equal((await admin('POST', '/api/admin/pins', { service: 'sports', title: 'x', expiresAt: 'someday' })).status, 400);
+});
+
+test('expired pins are skipped when read and dropped on the next write', async () => {
+    fs.writeFileSync(frontFile, JSON.stringify({
+        items: [
+            { title: 'Kick-off delayed', url: 'https://pafc.test/delay', source: 'editor', ts: '2025-08-16T14:00:00Z', expiresAt: '2025-08-16T15:00:00Z' },
+            { title: 'Season tickets on sale', url: 'https://pafc.test/tickets', source: 'editor', ts: '2025-08-16T14:00:00Z' }
+        ]
+    }));
+    assert.deepEqual(await sportsTitles(), ['Season tickets on sale', 'Argyle sign a new striker']);
+
+    const created = await admin('POST', '/api/admin/pins', { service: 'sports', title: 'Gates open early', ttlMinutes: 30 });
+    const { expiresAt } = await created.json();
+    const expected = Date.now() + 30 * 60000;
+    assert.ok(Math.abs(Date.parse(expiresAt) - expected) < 60000);
+
+    assert.deepEqual(readFront().items.map(item => item.title), ['Gates open early', 'Season tickets on sale']);
+    fs.rmSync(frontFile);
+});
+
+test('hidden headlines stay off the service until they are unhidden', async () => {
+    assert.equal((await admin('POST', '/api/admin/hide/not-an-id', { service: 'sports' })).status, 404);
+
+    const hidden = await admin('POST', `/api/admin/hide/${FETCHED.id}`, { service: 'sports' });
+    assert.equal(hidden.status, 201);
+    assert.deepEqual(readFront().hidden.map(entry => [entry.id, entry.title]), [[FETCHED.id, FETCHED.title]]);
+    assert.deepEqual(await sportsTitles(), []);
+
+    assert.equal((await admin('DELETE', `/api/admin/hide/${FETCHED.id}?service=sports`)).status, 204);
+    assert.equal(readFront().hidden, undefined);
+    assert.deepEqual(await sportsTitles(), ['Argyle sign a new striker']);
+    assert.equal((await admin('DELETE', `/api/admin/hide/${FETCHED.id}?service=sports`)).status, 404);
+});
+
+test('a hide with an expiry lapses by itself', async () => {
+    await admin('POST', `/api/admin/hide/${FETCHED.id}`, { service: 'sports', expiresAt: new Date(Date.now() + 100).toISOString() });
+    assert.deepEqual(await sportsTitles(), []);
+
+    await new Promise(resolve => setTimeout(resolve, 150));
+    assert.deepEqual(await sportsTitles(), ['Argyle sign a new striker']);
+    fs.rmSync(frontFile);
+});
@@ -0,0 +1,96 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Headline } = require('../server/headline');
+const { HeadlineArchive, parseArchiveQuery } = require('../server/archive');
+const { quietly } = require('./helpers');
+
+const KICK_OFF = Date.parse('2025-08-16T14:00:00Z');
+const HOUR = 3600000;
+
+let dir;
+let file;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-test-'));
+    file = path.join(dir, 'archive.jsonl');
+});
+
+afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function headline(title, source = 'www.pafc.co.uk', details = {}) {
+    return new Headline(title, `https://example.test/${encodeURIComponent(title)}`, source, KICK_OFF, details);
+}
+
+const comeback = headline('Argyle come from behind to beat Bolton', 'www.pafc.co.uk', { summary: 'Two late goals at Home Park' });
+const preview = headline('Wycombe preview: Pilgrims on the road', 'www.plymouthherald.co.uk');
+const weather = headline('Plymouth: 14°C, showers from 15:00', 'api.open-meteo.com');
+
+test('entries keep first-seen, last-seen and every service that showed them', async () => {
+    const archive = new HeadlineArchive(file, { touchInterval: HOUR });
+    await archive.record('sports', [comeback, preview], KICK_OFF);
+    await archive.record('sports', [comeback], KICK_OFF + 10 * 60000); // inside the touch interval
+    await archive.record('news', [comeback], KICK_OFF + 20 * 60000);
+    await archive.record('sports', [comeback], KICK_OFF + 2 * HOUR);
+
+    const entry = (await archive.load()).get(comeback.id);
+    assert.deepEqual(entry.services, ['sports', 'news']);
+    assert.equal(entry.firstSeen, '2025-08-16T14:00:00.000Z');
+    assert.equal(entry.lastSeen, '2025-08-16T16:00:00.000Z');
+    assert.equal(entry.summary, 'Two late goals at Home Park');
+    assert.equal(fs.readFileSync(file, 'utf8').trim().split('\n').length, 4, 'the 10-minute repeat adds no line');
+});
+
+test('a new archive instance reads back the last line for each id', async () => {
+    const first = new HeadlineArchive(file, { touchInterval: 0 });
+    await first.record('sports', [comeback, preview], KICK_OFF);
+    await first.record('sports', [comeback], KICK_OFF + HOUR);
+    fs.appendFileSync(file, '{"id": "cut short by a cra');
+
+    const reopened = new HeadlineArchive(file);
+    const entries = await quietly(() => reopened.load());
+    assert.equal(entries.size, 2);
+    assert.equal(entries.get(comeback.id).lastSeen, '2025-08-16T15:00:00.000Z');
+});
+
+test('search finds what was showing in a date range, newest first', async () => {
+    const archive = new HeadlineArchive(file);
+    await archive.record('sports', [preview], KICK_OFF - 3 * 24 * HOUR);
+    await archive.record('sports', [comeback], KICK_OFF);
+    await archive.record('weather', [weather], KICK_OFF + HOUR);
+
+    const matchday = await archive.search(parseArchiveQuery({ from: '2025-08-16', to: '2025-08-16' }));
+    assert.deepEqual(matchday.items.map(entry => entry.title), [weather.title, comeback.title]);
+
+    const sportsOnly = await archive.search(parseArchiveQuery({ service: 'sports' }));
+    assert.deepEqual(sportsOnly.items.map(entry => entry.title), [comeback.title, preview.title]);
+
+    const searched = await archive.search(parseArchiveQuery({ q: '"home park" -wycombe' }));
+    assert.deepEqual(searched.items.map(entry => entry.id), [comeback.id], 'summaries are searched too');
+
+    const paged = await archive.search(parseArchiveQuery({ limit: '1', offset: '1' }));
+    assert.equal(paged.total, 3);
+    assert.deepEqual(paged.items.map(entry => entry.id), [comeback.id]);
+});
+
+test('superseded lines are compacted once they outnumber the entries', async () => {
+    const archive = new HeadlineArchive(file, { touchInterval: 0 });
+    await quietly(async () => {
+        for (let i = 0; i < 1003; i++) {
+            await archive.record('sports', [comeback], KICK_OFF + i * 1000);
+        }
+    });
+
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+    assert.ok(lines.length < 10, `${lines.length} lines after compaction`);
+    assert.equal(JSON.parse(lines[0]).lastSeen, new Date(KICK_OFF + 1002 * 1000).toISOString());
+});
+
+test('archive queries reject bad bounds and paging', () => {
+    assert.throws(() => parseArchiveQuery({ from: 'matchday' }), /from must be/);
+    assert.throws(() => parseArchiveQuery({ from: '2025-08-17', to: '2025-08-16' }), /from must not be after to/);
+    assert.throws(() => parseArchiveQuery({ offset: '-1' }), /offset/);
+    assert.equal(parseArchiveQuery({ to: '2025-08-16' }).to, Date.parse('2025-08-17T00:00:00Z') - 1);
+});
@@ -0,0 +1,110 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const Parser = require('rss-parser');
+const { Headline } = require('../server/headline');
+const { renderRss, renderAtom, renderJsonFeed } = require('../server/feeds');
+const { startApp } = require('./helpers');
+
+const FEED = {
+    title: 'Argyle Janner Sports',
+    description: 'Sports headlines & more',
+    homeUrl: 'https://ticker.test/',
+    feedUrl: 'https://ticker.test/api/news.rss?service=sports',
+    updated: new Date('2025-08-16T17:00:00Z')
+};
+
+const TRICKY = new Headline('Argyle <3 Bolton & "the \'Pilgrims\'"\u0007', 'https://pafc.test/match?a=1&b=2', 'www.pafc.co.uk',
+    Date.parse('2025-08-16T16:55:00Z'), {
+        summary: 'A <b>late</b> winner & a clean sheet',
+        publishedAt: '2025-08-16T16:50:00.000Z',
+        author: 'Match <Reporter>',
+        categories: ['Sport & Leisure'],
+        lang: 'en-GB'
+    });
+const PLACEHOLDER = new Headline('Kick-off moved', '#', 'manual', Date.parse('2025-08-16T12:00:00Z'));
+const CLEAN_TITLE = 'Argyle <3 Bolton & "the \'Pilgrims\'"';
+
+test('RSS escapes markup and round-trips titles, links and dates', async () => {
+    const parsed = await new Parser().parseString(renderRss(FEED, [TRICKY, PLACEHOLDER]));
+
+    assert.equal(parsed.title, FEED.title);
+    assert.equal(parsed.description, FEED.description);
+    const [item, placeholder] = parsed.items;
+    assert.equal(item.title, CLEAN_TITLE, 'control characters are dropped, the rest survives');
+    assert.equal(item.link, TRICKY.url);
+    assert.equal(item.guid, TRICKY.id);
+    assert.equal(item.content, TRICKY.summary);
+    assert.equal(item.creator, 'Match <Reporter>');
+    assert.deepEqual(item.categories, ['Sport & Leisure']);
+    assert.equal(item.isoDate, '2025-08-16T16:50:00.000Z', 'publishedAt when the source gave one');
+    assert.equal(placeholder.link, FEED.homeUrl, 'placeholder links point home');
+    assert.equal(placeholder.isoDate, '2025-08-16T12:00:00.000Z', 'otherwise when it was seen');
+});
+
+test('Atom escapes markup and round-trips titles, links and dates', async () => {
+    const parsed = await new Parser().parseString(renderAtom(FEED, [TRICKY, PLACEHOLDER]));
+
+    assert.equal(parsed.title, FEED.title);
+    assert.equal(parsed.feedUrl, FEED.feedUrl);
+    const [item, placeholder] = parsed.items;
+    assert.equal(item.title, CLEAN_TITLE);
+    assert.equal(item.link, TRICKY.url);
+    assert.equal(item.id, `urn:sha1:${TRICKY.id}`);
+    assert.equal(item.summary, TRICKY.summary);
+    assert.equal(item.author, 'Match <Reporter>');
+    assert.equal(item.isoDate, '2025-08-16T16:50:00.000Z');
+    assert.equal(placeholder.link, FEED.homeUrl);
+});
+
+test('JSON Feed items follow the 1.1 shape', () => {
+    const feed = JSON.parse(JSON.stringify(renderJsonFeed(FEED, [TRICKY, PLACEHOLDER])));
+
+    assert.equal(feed.version, 'https://jsonfeed.org/version/1.1');
+    assert.equal(feed.home_page_url, FEED.homeUrl);
+    assert.equal(feed.feed_url, FEED.feedUrl);
+    assert.deepEqual(feed.items[0], {
+        id: TRICKY.id,
+        url: TRICKY.url,
+        title: TRICKY.title,
+        content_text: TRICKY.summary,
+        date_published: '2025-08-16T16:50:00.000Z',
+        authors: [{ name: 'Match <Reporter>' }],
+        summary: TRICKY.summary,
+        tags: ['Sport & Leisure'],
+        language: 'en-GB'
+    });
+    assert.deepEqual(feed.items[1], {
+        id: PLACEHOLDER.id,
+        url: FEED.homeUrl,
+        title: 'Kick-off moved',
+        content_text: 'Kick-off moved',
+        date_published: '2025-08-16T12:00:00.000Z',
+        authors: [{ name: 'manual' }]
+    });
+});
+
+let server;
+
+before(async () => {
+    server = await startApp();
+    server.scheduler.services.sports.frontJson = [];
+    server.scheduler.snapshots.set('sports', { headlines: [TRICKY, PLACEHOLDER], updatedAt: FEED.updated.getTime() });
+});
+
+after(() => server.close());
+
+test('/api/news.rss, .atom and .json serve each format with its content type', async () => {
+    const types = { rss: 'application/rss+xml', atom: 'application/atom+xml', json: 'application/feed+json' };
+    for (const [format, type] of Object.entries(types)) {
+        const response = await fetch(`${server.baseUrl}/api/news.${format}?service=sports&q=bolton`);
+        assert.equal(response.status, 200, format);
+        assert.match(response.headers.get('content-type'), new RegExp(`^${type.replace('+', '\\+')}`), format);
+
+        const body = await response.text();
+        const titles = format === 'json'
+            ? JSON.parse(body).items.map(item => item.title)
+            : (await new Parser().parseString(body)).items.map(item => item.title);
+        assert.equal(titles.length, 1, `${format} takes /api/news filters`);
+        assert.ok(titles[0].startsWith('Argyle <3 Bolton &'), format);
+    }
+});
@@ -0,0 +1,143 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { NewsSourceParser } = require('../server/fetchNews');
+const path = require('path');
+const { DEFAULT_RANKING, loadRankingConfig, rankHeadlines } = require('../server/ranking');
+const { startStubServer, quietly } = require('./helpers');
+
+let stub;
+
+before(async () => {
+    stub = await startStubServer({
+        '/sport/football/rss.xml': { fixture: 'bbc-sport.rss', type: 'application/rss+xml', etag: '"bbc-v1"' },
+        '/sport/football/rss-copy.xml': { fixture: 'bbc-sport.rss', type: 'application/rss+xml' },
+        '/pafc/news': { fixture: 'pafc-news.html' },
+        '/herald/news/': { fixture: 'herald-news.html' },
+        '/down.xml': { status: 503, body: 'Service Unavailable' }
+    });
+});
+
+after(() => stub.close());
+
+function feed(path, extra = {}) {
+    return { type: 'feed', url: `${stub.baseUrl}${path}`, ...extra };
+}
+
+function profile(name, path) {
+    return { type: 'scrape', url: `${stub.baseUrl}${path}`, profile: name, options: {} };
+}
+
+test('feed items carry titles, links, publish times and details', async () => {
+    const parser = new NewsSourceParser();
+    const headlines = await quietly(() => parser.fetchHeadlines([feed('/sport/football/rss.xml')], { cluster: false }));
+    const first = headlines.find(headline => headline.url.endsWith('/c1plymouth'));
+
+    assert.equal(headlines.length, 3);
+    assert.equal(first.title, 'Plymouth Argyle 2-1 Bolton Wanderers: Pilgrims come from behind');
+    assert.equal(first.ts, Date.parse('Sat, 16 Aug 2025 13:55:00 GMT'));
+    assert.equal(first.publishedAt, '2025-08-16T13:55:00.000Z');
+    assert.equal(first.source, '127.0.0.1');
+    assert.equal(first.image, 'https://ichef.bbci.co.uk/ace/standard/240/plymouth.jpg');
+    assert.deepEqual(first.categories, ['League One']);
+    assert.match(first.summary, /^Plymouth Argyle come from behind to beat Bolton at Home Park and claim/);
+});
+
+test('scraped profiles use the profile source label and resolve links against the page', async () => {
+    const parser = new NewsSourceParser();
+    const headlines = await quietly(() => parser.fetchHeadlines([profile('plymouth-argyle', '/pafc/news')], { cluster: false }));
+
+    assert.equal(headlines.length, 3);
+    assert.ok(headlines.every(headline => headline.source === 'www.pafc.co.uk'));
+    assert.ok(headlines.every(headline => headline.url.startsWith(`${stub.baseUrl}/news/2025/`)));
+});
+
+test('identical headlines from two sources are kept once', async () => {
+    const parser = new NewsSourceParser();
+    const headlines = await quietly(() => parser.fetchHeadlines([
+        feed('/sport/football/rss.xml'),
+        feed('/sport/football/rss-copy.xml')
+    ], { cluster: false }));
+
+    assert.equal(headlines.length, 3);
+    assert.equal(new Set(headlines.map(headline => headline.id)).size, 3);
+});
+
+test('Plymouth sources rank first, then the rest newest first', async () => {
+    const parser = new NewsSourceParser();
+    const headlines = await quietly(() => parser.fetchHeadlines([
+        feed('/sport/football/rss.xml'),
+        profile('plymouth-herald', '/herald/news/'),
+        profile('plymouth-argyle', '/pafc/news')
+    ], { cluster: false }));
+
+    const sources = headlines.map(headline => headline.source);
+    const firstOther = sources.findIndex(source => !/plymouth|pafc/.test(source));
+    assert.equal(firstOther, 7, 'three Argyle and four Herald headlines lead');
+    assert.ok(sources.slice(firstOther).every(source => source === '127.0.0.1'));
+
+    const feedTimes = headlines.slice(firstOther).map(headline => headline.ts);
+    assert.deepEqual(feedTimes, [...feedTimes].sort((a, b) => b - a));
+});
+
+test('sourceKeywords blocks keywords from the matching source only', () => {
+    const ranking = { ...DEFAULT_RANKING, blocklist: { sourceKeywords: { plymouthherald: ['argyle'] } } };
+    const ranked = rankHeadlines([
+        { title: 'Argyle sign a striker', url: 'https://www.plymouthherald.co.uk/sport/1', source: 'www.plymouthherald.co.uk', ts: 1 },
+        { title: 'Argyle sign a striker', url: 'https://www.bbc.co.uk/sport/1', source: 'www.bbc.co.uk', ts: 1 },
+        { title: 'Roadworks on the A38', url: 'https://www.plymouthherald.co.uk/news/2', source: 'www.plymouthherald.co.uk', ts: 1 }
+    ], ranking);
+
+    assert.deepEqual(ranked.map(headline => headline.url).sort(), [
+        'https://www.bbc.co.uk/sport/1',
+        'https://www.plymouthherald.co.uk/news/2'
+    ]);
+});
+
+test('the local service puts other sources first, then Herald local pages, then the rest of the Herald', async () => {
+    const ranking = await loadRankingConfig(path.join(__dirname, '..', 'news-local.txt'));
+    const now = Date.now();
+    const ranked = rankHeadlines([
+        { title: 'Herald opinion', url: 'https://www.plymouthherald.co.uk/news/opinion/1', source: 'www.plymouthherald.co.uk', ts: now },
+        { title: 'Herald local story', url: 'https://www.plymouthherald.co.uk/news/plymouth-news/2', source: 'www.plymouthherald.co.uk', ts: now - 48 * 3600000 },
+        { title: 'Council news', url: 'https://www.plymouth.gov.uk/news/3', source: 'www.plymouth.gov.uk', ts: now - 72 * 3600000 },
+        { title: 'Herald local-news story', url: 'https://www.plymouthherald.co.uk/news/local-news/4', source: 'www.plymouthherald.co.uk', ts: now }
+    ], ranking, { now });
+
+    assert.deepEqual(ranked.map(headline => headline.title), [
+        'Council news',
+        'Herald local-news story',
+        'Herald local story',
+        'Herald opinion'
+    ]);
+});
+
+test('a 304 reuses the headlines from the previous fetch', async () => {
+    const parser = new NewsSourceParser();
+    const source = feed('/sport/football/rss.xml', { rateLimit: 1 });
+
+    const first = await quietly(() => parser.fetchHeadlines([source], { cluster: false }));
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const second = await quietly(() => parser.fetchHeadlines([source], { cluster: false }));
+
+    const revalidation = stub.requests.filter(request => request.url === '/sport/football/rss.xml').pop();
+    assert.equal(revalidation.headers['if-none-match'], '"bbc-v1"');
+    assert.deepEqual(second.map(headline => headline.id), first.map(headline => headline.id));
+
+    const status = parser.meta.status.get(`feed ${source.url}`);
+    assert.equal(status.httpStatus, 304);
+    assert.equal(status.notModified, true);
+});
+
+test('a failing source is recorded and does not stop the others', async () => {
+    const parser = new NewsSourceParser();
+    const headlines = await quietly(() => parser.fetchHeadlines([
+        feed('/down.xml'),
+        feed('/sport/football/rss-copy.xml')
+    ], { cluster: false }));
+
+    assert.equal(headlines.length, 3);
+    const status = parser.meta.status.get(`feed ${stub.baseUrl}/down.xml`);
+    assert.equal(status.httpStatus, 503);
+    assert.equal(status.consecutiveFailures, 1);
+    assert.match(status.lastError.message, /503/);
+});
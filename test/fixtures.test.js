@@ -0,0 +1,137 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { NewsSourceParser } = require('../server/fetchNews');
+const { parseSportsData, parseCsv, kickoffTime, describeSportsData, countdown } = require('../server/fixtures');
+const { startStubServer, readFixture, quietly } = require('./helpers');
+
+// Wednesday evening before the Wycombe away game
+const MIDWEEK = Date.parse('2025-08-20T18:00:00Z');
+const ARGYLE = { team: 'Argyle', next: 1, results: 1, competition: 'League One' };
+
+let stub;
+
+before(async () => {
+    stub = await startStubServer({
+        '/v4/teams/1138/matches': { fixture: 'football-data.json', type: 'application/json' },
+        '/v4/teams/1138/matches?etag': { fixture: 'football-data.json', type: 'application/json', etag: '"matches-1"' }
+    });
+});
+
+after(() => stub.close());
+
+test('CSV fixtures read UK dates as UK wall-clock kick-offs', () => {
+    const { fixtures, table } = parseSportsData(readFixture('argyle-fixtures.csv'));
+
+    assert.equal(fixtures.length, 6);
+    assert.deepEqual(table, []);
+    assert.equal(fixtures[1].date, '2025-08-16T14:00:00.000Z', '15:00 BST');
+    assert.equal(fixtures[5].date, '2025-10-26T15:00:00.000Z', '15:00 GMT after the clocks go back');
+    assert.deepEqual([fixtures[1].homeScore, fixtures[1].awayScore, fixtures[1].status], [2, 1, 'finished']);
+    assert.equal(fixtures[2].status, 'postponed');
+    assert.equal(fixtures[3].venue, 'Adams Park, High Wycombe');
+    assert.equal(fixtures[4].timeKnown, false);
+});
+
+test('CSV league tables are recognised by their team and points columns', () => {
+    const { fixtures, table } = parseSportsData(readFixture('league-one-table.csv'));
+
+    assert.deepEqual(fixtures, []);
+    assert.deepEqual(table[2], {
+        position: 3, team: 'Plymouth Argyle', played: 3, won: 1, drawn: 0, lost: 2,
+        goalsFor: 2, goalsAgainst: 4, goalDifference: -2, points: 3
+    });
+});
+
+test('football-data.org style JSON gives fixtures and the total standings', () => {
+    const { fixtures, table } = parseSportsData(readFixture('football-data.json'));
+
+    assert.deepEqual(fixtures.map(fixture => [fixture.home, fixture.status]), [
+        ['Plymouth Argyle', 'finished'],
+        ['Wycombe Wanderers', 'scheduled']
+    ]);
+    assert.deepEqual(table.map(row => row.team), ['Stockport County', 'Plymouth Argyle']);
+});
+
+test('ticker lines count down to the next fixture and report the latest result', () => {
+    const data = parseSportsData(readFixture('argyle-fixtures.csv'));
+    const withTable = { ...data, table: parseSportsData(readFixture('league-one-table.csv')).table };
+
+    assert.deepEqual(describeSportsData(withTable, ARGYLE, MIDWEEK), [
+        'Next: Wycombe Wanderers v Plymouth Argyle, Sat 23 Aug 12:30 (in 3 days)',
+        'FT: Plymouth Argyle 2-1 Bolton Wanderers (League One)',
+        'Plymouth Argyle are 3rd in League One on 3 points after 3 games'
+    ]);
+});
+
+test('fixtures without a kick-off time skip the countdown', () => {
+    const data = parseSportsData(readFixture('argyle-fixtures.csv'));
+    const lines = describeSportsData(data, { ...ARGYLE, next: 2, results: 0 }, MIDWEEK);
+
+    assert.equal(lines[1], 'Next: Plymouth Argyle v Exeter City, Sat 30 Aug (time TBC)');
+});
+
+test('countdown switches from days to hours to minutes', () => {
+    const kickoff = '2025-08-23T11:30:00.000Z';
+    const at = offset => Date.parse(kickoff) - offset;
+
+    assert.equal(countdown(kickoff, at(3 * 86400000)), 'in 3 days');
+    assert.equal(countdown(kickoff, at(5 * 3600000)), 'in 5 hours');
+    assert.equal(countdown(kickoff, at(40 * 60000)), 'in 40 min');
+});
+
+test('parseCsv handles quoted commas, escaped quotes and CRLF', () => {
+    assert.deepEqual(parseCsv('a,"b, c","say ""hi"""\r\n1,2,3\r\n'), [['a', 'b, c', 'say "hi"'], ['1', '2', '3']]);
+    assert.equal(kickoffTime('2025-08-16', '15:00', 'Europe/London').date, '2025-08-16T14:00:00.000Z');
+});
+
+test('fixtures-url sources keep the parsed data for /api/sports', async () => {
+    const parser = new NewsSourceParser();
+    const url = `${stub.baseUrl}/v4/teams/1138/matches`;
+    const line = `fixtures-url ${url} team="Plymouth Argyle" competition="League One" results=1 next=0`;
+    const source = { ...parser.sourceTypes.get('fixtures-url').parse(line.split(/\s+/), line), type: 'fixtures-url' };
+    const headlines = await quietly(() => parser.fetchHeadlines([source], { cluster: false }));
+
+    // The result is timed at its kick-off, so the fresher table ranks ahead of it
+    assert.deepEqual(headlines.map(headline => headline.title), [
+        'Plymouth Argyle are 3rd in League One on 3 points after 3 games',
+        'FT: Plymouth Argyle 2-1 Bolton Wanderers (League One)'
+    ]);
+    const stored = parser.sports.get(`fixtures-url ${url}`);
+    assert.equal(stored.team, 'Plymouth Argyle');
+    assert.equal(stored.fixtures.length, 2);
+});
+
+test('countdowns keep moving when the fixtures document answers 304', async () => {
+    const parser = new NewsSourceParser();
+    const url = `${stub.baseUrl}/v4/teams/1138/matches?etag`;
+    const line = `fixtures-url ${url} team="Plymouth Argyle" results=0`;
+    const source = { ...parser.sourceTypes.get('fixtures-url').parse(line.split(/\s+/), line), type: 'fixtures-url', rateLimit: 1 };
+    const fetchAt = async now => {
+        await new Promise(resolve => setTimeout(resolve, 5)); // past the 1ms rate limit
+        return quietly(() => parser.fetchHeadlines([source], { cluster: false, now }));
+    };
+
+    const first = await fetchAt(MIDWEEK);
+    assert.match(first[0].title, /Wycombe Wanderers v Plymouth Argyle, .* \(in 3 days\)$/);
+    assert.equal(first[0].ts, MIDWEEK, 'a countdown is as fresh as the refresh, not timed in the future');
+    assert.equal(first[0].publishedAt, '2025-08-23T11:30:00.000Z', 'the kick-off');
+
+    const later = await fetchAt(Date.parse('2025-08-23T09:00:00Z'));
+    assert.equal(parser.meta.status.get(`fixtures-url ${url}`).notModified, true);
+    assert.match(later[0].title, /\(in 3 hours\)$/);
+    assert.equal(later[0].ts, Date.parse('2025-08-23T09:00:00Z'));
+    assert.equal(later[0].publishedAt, first[0].publishedAt);
+
+    // Once it has kicked off there is no next fixture left in the document
+    const afterKickoff = await fetchAt(Date.parse('2025-08-23T12:00:00Z'));
+    assert.ok(afterKickoff.every(headline => !headline.title.startsWith('Next:')));
+});
+
+test('fixtures files that are neither fixtures nor a table are reported', async () => {
+    const parser = new NewsSourceParser();
+    const source = { type: 'fixtures-file', url: 'test/fixtures/sources/index.txt', next: 1, results: 1 };
+    const headlines = await quietly(() => parser.fetchHeadlines([source], { cluster: false }));
+
+    assert.deepEqual(headlines, []);
+    assert.match(parser.meta.status.get(`fixtures-file ${source.url}`).lastError.message, /CSV needs/);
+});
@@ -0,0 +1,120 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { NewsSourceParser } = require('../server/fetchNews');
+const { normalizeForecast, describeForecast, describeTomorrow, compassPoint } = require('../server/forecast');
+const { startStubServer, readFixture, quietly } = require('./helpers');
+
+// 13:20 in Plymouth (BST) on the Open-Meteo fixture's day
+const MATCH_DAY = Date.parse('2025-08-16T12:20:00Z');
+
+let stub;
+
+before(async () => {
+    stub = await startStubServer({
+        '/v1/forecast': { fixture: 'open-meteo.json', type: 'application/json' },
+        '/v1/forecast?etag': { fixture: 'open-meteo.json', type: 'application/json', etag: '"forecast-1"' },
+        '/garbage': { body: '{"hello":"world"}', type: 'application/json' }
+    });
+});
+
+after(() => stub.close());
+
+test('Open-Meteo forecasts normalize to UTC times, mph and compass points', () => {
+    const forecast = normalizeForecast(JSON.parse(readFixture('open-meteo.json')), { location: 'Plymouth', now: MATCH_DAY });
+
+    assert.equal(forecast.provider, 'open-meteo');
+    assert.equal(forecast.timeZone, 'Europe/London');
+    assert.deepEqual(forecast.current, {
+        time: '2025-08-16T12:00:00.000Z',
+        temperature: 14,
+        windSpeed: 20,
+        windDirection: 226,
+        windCompass: 'SW',
+        precipitationProbability: 15,
+        condition: 'cloudy'
+    });
+    assert.equal(forecast.hourly[0].time, '2025-08-16T12:00:00.000Z', 'starts from the current hour');
+    assert.equal(forecast.daily[1].max, 17);
+});
+
+test('forecasts render as a ticker line in the location\'s local time', () => {
+    const forecast = normalizeForecast(JSON.parse(readFixture('open-meteo.json')), { location: 'Plymouth', now: MATCH_DAY });
+
+    assert.equal(describeForecast(forecast, MATCH_DAY), 'Plymouth: 14°C, showers from 15:00, wind 20mph SW');
+    assert.equal(describeTomorrow(forecast, MATCH_DAY), 'Plymouth tomorrow: 11–17°C, sunny spells (20% chance of rain)');
+});
+
+test('Met Office site forecasts use their own weather codes and m/s winds', () => {
+    const now = Date.parse('2025-12-02T09:30:00Z');
+    const forecast = normalizeForecast(JSON.parse(readFixture('met-office.json')), { now });
+
+    assert.equal(forecast.provider, 'met-office');
+    assert.equal(forecast.location, 'Home Park');
+    assert.equal(forecast.latitude, 50.3883);
+    assert.equal(describeForecast(forecast, now), 'Home Park: 6°C, rain until 11:00, wind 21mph N');
+    assert.equal(describeTomorrow(forecast, now), null, 'no daily data');
+});
+
+test('compassPoint wraps around north', () => {
+    assert.deepEqual([0, 44, 350, -90, 180].map(compassPoint), ['N', 'NE', 'N', 'W', 'S']);
+});
+
+test('forecast directives become weather headlines and keep the structured forecast', async () => {
+    const parser = new NewsSourceParser();
+    const source = { type: 'forecast', url: `${stub.baseUrl}/v1/forecast`, location: 'Plymouth', link: 'https://example.test/weather' };
+    const headlines = await quietly(() => parser.fetchHeadlines([source], { cluster: false }));
+
+    // The fixture's hours are in the past by now, so only the current-conditions line is certain
+    assert.ok(headlines.length >= 1);
+    assert.ok(headlines.every(headline => headline.url === 'https://example.test/weather'));
+    assert.ok(headlines.some(headline => headline.title.startsWith('Plymouth: 14°C')));
+    assert.deepEqual(headlines[0].categories, ['Weather']);
+    assert.equal(parser.forecasts.get(`forecast ${source.url}`).location, 'Plymouth');
+});
+
+test('forecast lines follow the clock when the document answers 304', async () => {
+    const parser = new NewsSourceParser();
+    const url = `${stub.baseUrl}/v1/forecast?etag`;
+    const source = { type: 'forecast', url, location: 'Plymouth', rateLimit: 1 };
+    const fetchAt = async now => {
+        await new Promise(resolve => setTimeout(resolve, 5)); // past the 1ms rate limit
+        return quietly(() => parser.fetchHeadlines([source], { cluster: false, now }));
+    };
+
+    const first = await fetchAt(MATCH_DAY);
+    assert.equal(first.find(headline => headline.title.startsWith('Plymouth:')).title,
+        'Plymouth: 14°C, showers from 15:00, wind 20mph SW');
+
+    const later = await fetchAt(MATCH_DAY + 3 * 3600000);
+    assert.equal(parser.meta.status.get(`forecast ${url}`).notModified, true);
+    assert.equal(later.find(headline => headline.title.startsWith('Plymouth:')).title,
+        'Plymouth: 14°C, rain until 18:00, wind 20mph SW');
+    assert.ok(later.every(headline => headline.ts === MATCH_DAY), 'timed at the fetch, not the refresh');
+    assert.equal(parser.forecasts.get(`forecast ${url}`).hourly[0].time, '2025-08-16T15:00:00.000Z');
+
+    // Past midnight the daily data no longer has a "tomorrow"
+    const overnight = await fetchAt(MATCH_DAY + 14 * 3600000);
+    assert.ok(overnight.every(headline => !headline.title.startsWith('Plymouth tomorrow')));
+});
+
+test('forecast directive options are parsed from the source line', async () => {
+    const parser = new NewsSourceParser();
+    const line = 'forecast https://api.open-meteo.com/v1/forecast?latitude=50.38 location="Home Park" tz=Europe/London';
+    const fields = parser.sourceTypes.get('forecast').parse(line.split(/\s+/), line);
+
+    assert.deepEqual(fields, {
+        url: 'https://api.open-meteo.com/v1/forecast?latitude=50.38',
+        location: 'Home Park',
+        link: null,
+        timeZone: 'Europe/London'
+    });
+});
+
+test('documents that are not a forecast are reported as source errors', async () => {
+    const parser = new NewsSourceParser();
+    const source = { type: 'forecast', url: `${stub.baseUrl}/garbage` };
+    const headlines = await quietly(() => parser.fetchHeadlines([source], { cluster: false }));
+
+    assert.deepEqual(headlines, []);
+    assert.match(parser.meta.status.get(`forecast ${source.url}`).lastError.message, /Unrecognised forecast/);
+});
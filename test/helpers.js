@@ -0,0 +1,95 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+function readFixture(name) {
+    return fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+}
+
+// Local HTTP server standing in for the real sites, so the suite never touches the network.
+//
+//   routes: { '/path': { fixture, type, etag, status } | (req, res) => {} }
+//
+// Responds 304 when a route's `etag` matches If-None-Match. Every request is recorded in
+// `requests` as { url, headers }.
+function startStubServer(routes) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        requests.push({ url: req.url, headers: req.headers });
+        const route = routes[req.url];
+
+        if (typeof route === 'function') return route(req, res);
+        if (!route) {
+            res.writeHead(404);
+            return res.end('not found');
+        }
+        if (route.etag && req.headers['if-none-match'] === route.etag) {
+            res.writeHead(304, { ETag: route.etag });
+            return res.end();
+        }
+
+        const headers = { 'Content-Type': route.type || 'text/html; charset=utf-8' };
+        if (route.etag) headers.ETag = route.etag;
+        res.writeHead(route.status || 200, headers);
+        res.end(route.fixture ? readFixture(route.fixture) : (route.body || ''));
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            const baseUrl = `http://127.0.0.1:${server.address().port}`;
+            resolve({
+                baseUrl,
+                requests,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+// Run `fn` with console output swallowed; the parser logs every fetch and ranking pass
+async function quietly(fn) {
+    const { log, warn, error } = console;
+    console.log = console.warn = console.error = () => {};
+    try {
+        return await fn();
+    } finally {
+        Object.assign(console, { log, warn, error });
+    }
+}
+
+// server/server.js on a free port with its scheduler idle, loaded afresh so `env` (e.g.
+// NEWS_ADMIN_TOKEN) is what it reads at startup. Seed `scheduler.snapshots` before asking
+// for a service, or it will try to refresh from the real sources.
+async function startApp(env = {}) {
+    const modulePath = require.resolve('../server/server');
+    const saved = Object.fromEntries(Object.keys(env).map(key => [key, process.env[key]]));
+    const setEnv = values => Object.entries(values).forEach(([key, value]) => {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+    });
+
+    delete require.cache[modulePath];
+    setEnv(env);
+    let loaded;
+    try {
+        loaded = await quietly(() => require(modulePath));
+    } finally {
+        setEnv(saved);
+    }
+
+    const server = await new Promise(resolve => {
+        const listening = loaded.app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    return {
+        ...loaded,
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => {
+            server.closeAllConnections(); // open event streams would hold close() forever
+            server.close(done);
+        })
+    };
+}
+
+module.exports = { FIXTURES_DIR, readFixture, startStubServer, startApp, quietly };
@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { NewsSourceParser } = require('../server/fetchNews');
+const { Headline } = require('../server/headline');
+const { normalizeLang, detectLanguage, isRtl, langMatches } = require('../server/language');
+const { parseNewsQuery, applyNewsQuery } = require('../server/newsQuery');
+const { FIXTURES_DIR, quietly } = require('./helpers');
+
+const LANG_SOURCES = path.join(FIXTURES_DIR, 'sources', 'lang.txt');
+
+test('titles in distinctive scripts get a language guess, Latin text does not', () => {
+    assert.equal(detectLanguage('آرجايل يفوز على بولتون'), 'ar');
+    assert.equal(detectLanguage('ארגייל ניצחה את בולטון'), 'he');
+    assert.equal(detectLanguage('プリマス・アーガイルが勝利'), 'ja');
+    assert.equal(detectLanguage('普利茅斯阿盖尔获胜'), 'zh');
+    assert.equal(detectLanguage('플리머스 승리'), 'ko');
+    assert.equal(detectLanguage('Argyle sign striker'), null);
+    assert.equal(detectLanguage('Plymouth Argyle 2-1 Bolton Wanderers (بولتون)'), null, 'a few foreign letters are not enough');
+});
+
+test('language tags are canonicalised and checked', () => {
+    assert.equal(normalizeLang('EN_gb'), 'en-GB');
+    assert.equal(normalizeLang('zh-hant'), 'zh-Hant');
+    assert.equal(normalizeLang('12345678901'), null);
+    assert.ok(isRtl('ar-EG'));
+    assert.ok(!isRtl('en'));
+    assert.ok(langMatches('en-GB', 'en'));
+    assert.ok(!langMatches('en', 'en-GB'));
+});
+
+test('lang= hints are read from any source line and bad ones reported', async () => {
+    const { sources, diagnostics } = await quietly(() => new NewsSourceParser().validateSources(LANG_SOURCES));
+
+    assert.deepEqual(sources.map(source => [source.url, source.lang]), [
+        ['https://example.test/newyddion.xml', 'cy'],
+        ['https://example.test/en', 'en-GB'],
+        ['https://example.test/ar', undefined]
+    ]);
+    assert.equal(sources[1].title, 'Plymouth Argyle sign striker', 'the hint is not part of the title');
+    assert.equal(diagnostics.length, 1);
+    assert.equal(diagnostics[0].line, 5);
+    assert.match(diagnostics[0].message, /lang expects a language tag/);
+});
+
+test('fetched headlines take the hint, then their own declaration, then a guess', async () => {
+    const parser = new NewsSourceParser();
+    const sources = (await quietly(() => parser.readSources(LANG_SOURCES))).filter(source => source.type === 'headline');
+    const headlines = await quietly(() => parser.fetchHeadlines(sources, { cluster: false }));
+    const byUrl = Object.fromEntries(headlines.map(headline => [headline.url, headline.lang]));
+
+    assert.deepEqual(byUrl, { 'https://example.test/en': 'en-GB', 'https://example.test/ar': 'ar' });
+});
+
+test('/api/news lang= keeps headlines under any of the given languages', () => {
+    const headlines = [
+        new Headline('Argyle win', 'https://example.test/1', 'bbc', 3, { lang: 'en-GB' }),
+        new Headline('Buddugoliaeth i Argyle', 'https://example.test/2', 'bbc', 2, { lang: 'cy' }),
+        new Headline('آرجايل يفوز', 'https://example.test/3', 'bbc', 1, { lang: 'ar' }),
+        new Headline('No language', 'https://example.test/4', 'bbc', 0)
+    ];
+    const titles = query => applyNewsQuery(headlines, parseNewsQuery(query)).items.map(headline => headline.title);
+
+    assert.deepEqual(titles({ lang: 'en,cy' }), ['Argyle win', 'Buddugoliaeth i Argyle']);
+    assert.deepEqual(titles({ lang: 'ar' }), ['آرجايل يفوز']);
+    assert.equal(titles({}).length, 4);
+    assert.throws(() => parseNewsQuery({ lang: 'en,!!' }), /lang must be language tags/);
+});
@@ -0,0 +1,145 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Headline } = require('../server/headline');
+const { parseNewsQuery, applyNewsQuery, QueryError, DEFAULT_LIMIT, MAX_LIMIT } = require('../server/newsQuery');
+const { startApp } = require('./helpers');
+
+const NOW = Date.parse('2025-08-16T15:00:00Z');
+const HOUR = 3600000;
+
+// Newest first, as the scheduler ranks them
+const HEADLINES = [
+    new Headline('Argyle beat Bolton at Home Park', 'https://pafc.test/1', 'www.pafc.co.uk', NOW, { lang: 'en-GB', summary: 'Two late goals' }),
+    new Headline('Home Park roof gets a makeover', 'https://herald.test/2', 'www.plymouthherald.co.uk', NOW - HOUR, { lang: 'en' }),
+    new Headline('Betting tips for Argyle v Bolton', 'https://odds.test/3', 'odds.example', NOW - 2 * HOUR),
+    new Headline('Newyddion Cymru', 'https://bbc.test/4', 'www.bbc.co.uk', NOW - 3 * HOUR, { lang: 'cy' }),
+    new Headline('Manual placeholder', '#', 'manual', NOW - 4 * HOUR)
+];
+
+function run(query) {
+    return applyNewsQuery(HEADLINES, parseNewsQuery(query));
+}
+
+test('limit defaults to a page, is capped, and the legacy array has no default', () => {
+    assert.equal(parseNewsQuery({}).limit, DEFAULT_LIMIT);
+    assert.equal(parseNewsQuery({ limit: '5000' }).limit, MAX_LIMIT);
+    assert.equal(parseNewsQuery({ format: 'array' }).limit, null);
+    assert.equal(parseNewsQuery({ format: 'array', limit: '2' }).limit, 2);
+    for (const limit of ['0', '-3', 'lots']) {
+        assert.throws(() => parseNewsQuery({ limit }), QueryError);
+    }
+});
+
+test('cursors page through the list without repeats', () => {
+    const first = run({ limit: '2' });
+    assert.deepEqual(first.items.map(headline => headline.url), ['https://pafc.test/1', 'https://herald.test/2']);
+    assert.ok(first.nextCursor);
+
+    const second = run({ limit: '2', cursor: first.nextCursor });
+    assert.deepEqual(second.items.map(headline => headline.url), ['https://odds.test/3', 'https://bbc.test/4']);
+
+    const last = run({ limit: '2', cursor: second.nextCursor });
+    assert.deepEqual(last.items.map(headline => headline.url), ['#']);
+    assert.equal(last.nextCursor, null);
+});
+
+test('a cursor whose headline has gone continues with anything older', () => {
+    const cursor = run({ limit: '2' }).nextCursor;
+    const refreshed = applyNewsQuery(HEADLINES.filter(headline => headline.url !== 'https://herald.test/2'),
+        parseNewsQuery({ limit: '2', cursor }));
+
+    assert.deepEqual(refreshed.items.map(headline => headline.url), ['https://odds.test/3', 'https://bbc.test/4']);
+});
+
+test('malformed cursors are a QueryError', () => {
+    for (const cursor of ['not-base64!', Buffer.from('{"id":1}').toString('base64url')]) {
+        assert.throws(() => parseNewsQuery({ cursor }), error => error instanceof QueryError && error.status === 400 &&
+            /Invalid cursor/.test(error.message));
+    }
+});
+
+test('since takes epoch milliseconds or ISO timestamps', () => {
+    assert.equal(parseNewsQuery({ since: String(NOW) }).since, NOW);
+    assert.equal(parseNewsQuery({ since: '2025-08-16T15:00:00Z' }).since, NOW);
+    assert.deepEqual(run({ since: String(NOW - 90 * 60000) }).items.map(headline => headline.url),
+        ['https://pafc.test/1', 'https://herald.test/2']);
+    assert.throws(() => parseNewsQuery({ since: 'yesterday' }), /since must be/);
+});
+
+test('source= includes plain entries and drops - entries', () => {
+    assert.deepEqual(run({ source: 'pafc,herald' }).items.map(headline => headline.source),
+        ['www.pafc.co.uk', 'www.plymouthherald.co.uk']);
+    assert.deepEqual(run({ source: '-manual,-odds' }).items.map(headline => headline.source),
+        ['www.pafc.co.uk', 'www.plymouthherald.co.uk', 'www.bbc.co.uk']);
+    assert.deepEqual(run({ source: 'plymouth,-herald' }).items, []);
+});
+
+test('fields= projects each headline', () => {
+    assert.deepEqual(run({ fields: 'title,url,nope', limit: '1' }).items,
+        [{ title: 'Argyle beat Bolton at Home Park', url: 'https://pafc.test/1' }]);
+});
+
+test('lang= keeps matching languages and rejects bad tags', () => {
+    assert.deepEqual(run({ lang: 'en' }).items.map(headline => headline.url), ['https://pafc.test/1', 'https://herald.test/2']);
+    assert.deepEqual(run({ lang: 'cy' }).items.map(headline => headline.url), ['https://bbc.test/4']);
+    assert.throws(() => parseNewsQuery({ lang: 'en,12345678901' }), /lang must be language tags/);
+});
+
+test('q needs every term, matches phrases at word starts and honours exclusions', () => {
+    assert.deepEqual(run({ q: 'argyle bolton' }).items.map(headline => headline.url), ['https://pafc.test/1', 'https://odds.test/3']);
+    assert.deepEqual(run({ q: 'argyle -betting' }).items.map(headline => headline.url), ['https://pafc.test/1']);
+    assert.deepEqual(run({ q: '"home park" roof' }).items.map(headline => headline.url), ['https://herald.test/2']);
+    assert.deepEqual(run({ q: 'late goals' }).items.map(headline => headline.url), ['https://pafc.test/1'], 'searches the summary');
+    assert.deepEqual(run({ q: 'rgyle' }).items, [], 'only at the start of a word');
+    assert.deepEqual(run({ q: 'plymouthherald' }).items.map(headline => headline.url), ['https://herald.test/2'], 'and the source');
+});
+
+test('counts cover every match, not just the page', () => {
+    const result = run({ q: 'argyle', limit: '1' });
+    assert.equal(result.total, 2);
+    assert.deepEqual(result.sourceCounts, { 'www.pafc.co.uk': 1, 'odds.example': 1 });
+});
+
+let server;
+
+before(async () => {
+    server = await startApp();
+    server.scheduler.services.news.frontJson = []; // no editorial items in the way
+    server.scheduler.snapshots.set('news', { headlines: HEADLINES, updatedAt: NOW });
+});
+
+after(() => server.close());
+
+test('/api/news wraps a page in the envelope', async () => {
+    const response = await fetch(`${server.baseUrl}/api/news?limit=2&source=-manual`);
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.service, 'news');
+    assert.ok(!isNaN(Date.parse(body.generatedAt)));
+    assert.equal(body.updatedAt, new Date(NOW).toISOString());
+    assert.equal(body.total, 4);
+    assert.equal(body.count, 2);
+    assert.deepEqual(body.sources, { 'www.pafc.co.uk': 1, 'www.plymouthherald.co.uk': 1, 'odds.example': 1, 'www.bbc.co.uk': 1 });
+    assert.deepEqual(body.items.map(headline => headline.url), ['https://pafc.test/1', 'https://herald.test/2']);
+
+    const next = await (await fetch(`${server.baseUrl}/api/news?limit=2&source=-manual&cursor=${body.nextCursor}`)).json();
+    assert.deepEqual(next.items.map(headline => headline.url), ['https://odds.test/3', 'https://bbc.test/4']);
+    assert.equal(next.nextCursor, null);
+});
+
+test('/api/news?format=array is the bare list the ticker has always read', async () => {
+    const body = await (await fetch(`${server.baseUrl}/api/news?format=array&fields=title`)).json();
+
+    assert.ok(Array.isArray(body));
+    assert.equal(body.length, HEADLINES.length);
+    assert.deepEqual(body[0], { title: 'Argyle beat Bolton at Home Park' });
+});
+
+test('/api/news answers bad parameters with 400', async () => {
+    for (const query of ['limit=0', 'since=soon', 'cursor=garbage', 'lang=12345678901']) {
+        const response = await fetch(`${server.baseUrl}/api/news?${query}`);
+        assert.equal(response.status, 400, query);
+        assert.ok((await response.json()).error, query);
+    }
+});
@@ -0,0 +1,93 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { NewsSourceParser, validateSourceFiles, formatDiagnostic } = require('../server/fetchNews');
+const { loadServices } = require('../server/services');
+const { FIXTURES_DIR, quietly } = require('./helpers');
+
+const INDEX = path.join(FIXTURES_DIR, 'sources', 'index.txt');
+
+test('readSources follows list directives depth-first, in file order', async () => {
+    const sources = await quietly(() => new NewsSourceParser().readSources(INDEX));
+
+    assert.deepEqual(sources.map(source => `${source.type} ${source.url}`), [
+        'feed https://feeds.example.test/top.xml',
+        'site https://example.test/page',
+        'json-file test/fixtures/items.json',
+        'headline https://example.test/pinned',
+        'scrape https://example.test/news',
+        'scrape https://www.plymouthherald.co.uk/news/'
+    ]);
+});
+
+test('rate directives apply below them and are inherited by listed files', async () => {
+    const sources = await quietly(() => new NewsSourceParser().readSources(INDEX));
+    const rateOf = url => sources.find(source => source.url === url).rateLimit;
+
+    assert.equal(rateOf('https://feeds.example.test/top.xml'), undefined);
+    assert.equal(rateOf('https://example.test/page'), 60000);
+    assert.equal(rateOf('test/fixtures/items.json'), 60000);
+    assert.equal(rateOf('https://example.test/pinned'), 60000);
+    assert.equal(rateOf('https://example.test/news'), undefined, '`rate default` resets it');
+});
+
+test('directive fields come from each source type', async () => {
+    const sources = await quietly(() => new NewsSourceParser().readSources(INDEX));
+    const byUrl = Object.fromEntries(sources.map(source => [source.url, source]));
+
+    assert.equal(byUrl['https://example.test/pinned'].title, 'Pinned story title');
+    assert.deepEqual(byUrl['https://example.test/news'].options, { item: '.card', title: 'h3 a', link: 'h3 a', max: 5 });
+    assert.equal(byUrl['https://example.test/news'].profile, null);
+    assert.equal(byUrl['https://www.plymouthherald.co.uk/news/'].profile, 'plymouth-herald');
+});
+
+test('unknown directives and missing lists are skipped without failing', async () => {
+    const sources = await quietly(() => new NewsSourceParser().readSources(INDEX));
+    assert.ok(!sources.some(source => source.url === 'https://example.test/ignored'));
+});
+
+test('a list cycle is skipped and each file is read once', async () => {
+    const sources = await quietly(() => new NewsSourceParser().readSources(path.join(FIXTURES_DIR, 'sources', 'cycle-a.txt')));
+
+    assert.deepEqual(sources.map(source => source.url), ['https://example.test/a.xml', 'https://example.test/b.xml']);
+});
+
+test('validateSources reports the cycle at the line that closes it', async () => {
+    const { diagnostics } = await quietly(() => new NewsSourceParser().validateSources(path.join(FIXTURES_DIR, 'sources', 'cycle-a.txt')));
+
+    assert.equal(diagnostics.length, 1);
+    assert.match(diagnostics[0].file, /cycle-b\.txt$/);
+    assert.equal(diagnostics[0].line, 2);
+    assert.match(diagnostics[0].message, /^list cycle: .*cycle-a\.txt -> .*cycle-b\.txt -> .*cycle-a\.txt$/);
+});
+
+test('validateSources gives line-numbered diagnostics for broken lines', async () => {
+    const { sources, diagnostics } = await quietly(() => new NewsSourceParser().validateSources(path.join(FIXTURES_DIR, 'sources', 'invalid.txt')));
+    const byLine = Object.fromEntries(diagnostics.map(diagnostic => [diagnostic.line, diagnostic.message]));
+
+    assert.deepEqual(Object.keys(byLine).map(Number), [2, 3, 4, 5, 6, 7, 8]);
+    assert.match(byLine[2], /unknown directive "fed"/);
+    assert.match(byLine[3], /malformed headline/);
+    assert.match(byLine[4], /malformed headline/);
+    assert.match(byLine[5], /http\(s\) URL/);
+    assert.match(byLine[6], /rate/);
+    assert.match(byLine[7], /cannot read list nowhere\.txt/);
+    assert.match(byLine[8], /needs an argument/);
+    assert.match(formatDiagnostic(diagnostics[0]), /invalid\.txt:2: error: unknown directive "fed"$/);
+
+    assert.deepEqual(sources.map(source => source.url), ['https://example.test/fine.xml']);
+});
+
+test('unknown tz options are reported and read as UTC', async () => {
+    const { sources, diagnostics } = await quietly(() => new NewsSourceParser().validateSources(path.join(FIXTURES_DIR, 'sources', 'timezones.txt')));
+
+    assert.deepEqual(sources.map(source => source.timeZone), ['Europe/London', 'UTC', 'UTC']);
+    assert.deepEqual(diagnostics.map(diagnostic => [diagnostic.line, diagnostic.severity]), [[3, 'warning'], [4, 'warning']]);
+    assert.match(diagnostics[0].message, /tz expects a time zone like "Europe\/London", got "Europe\/Cardif"; using UTC/);
+});
+
+test('the bundled source files validate cleanly', async () => {
+    const files = loadServices().services.map(service => path.join(__dirname, '..', service.sourceFile));
+
+    assert.deepEqual(await quietly(() => validateSourceFiles(files)), []);
+});
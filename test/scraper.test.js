@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { SCRAPE_PROFILES, parseScrapeOptions, extractHeadlines } = require('../server/scraper');
+const { readFixture } = require('./helpers');
+
+test('plymouth-argyle profile keeps the first three article cards', () => {
+    const items = extractHeadlines(readFixture('pafc-news.html'), 'https://www.pafc.co.uk/news', SCRAPE_PROFILES['plymouth-argyle']);
+
+    assert.deepEqual(items.map(item => item.title), [
+        'Argyle complete signing of striker on three-year deal',
+        'Match preview: Pilgrims return to Home Park',
+        'Academy graduate earns international call-up'
+    ]);
+    assert.equal(items[0].url, 'https://www.pafc.co.uk/news/2025/august/16/argyle-complete-signing-of-striker/');
+    assert.equal(items[0].image, 'https://www.pafc.co.uk/media/hero-striker.jpg');
+    assert.equal(items[1].image, 'https://www.pafc.co.uk/media/preview.jpg', 'falls back to data-src');
+    assert.equal(items[2].image, null);
+});
+
+test('plymouth-argyle profile skips navigation, Argyle TV and footer links', () => {
+    const titles = extractHeadlines(readFixture('pafc-news.html'), 'https://www.pafc.co.uk/news', {
+        ...SCRAPE_PROFILES['plymouth-argyle'],
+        max: 20
+    }).map(item => item.title);
+
+    assert.equal(titles.length, 4);
+    for (const excluded of ['Latest News', 'View all news', 'Argyle TV: extended highlights', 'Help and FAQs', 'homeparkstadium.com']) {
+        assert.ok(!titles.includes(excluded), `${excluded} should be excluded`);
+    }
+});
+
+test('plymouth-herald profile falls back to teaser headings and drops repeated stories', () => {
+    const items = extractHeadlines(readFixture('herald-news.html'), 'https://www.plymouthherald.co.uk/news/', SCRAPE_PROFILES['plymouth-herald']);
+
+    assert.deepEqual(items.map(item => item.title), [
+        'Plymouth court list sees 31 men and women named and shamed',
+        'Urgent calls to tackle waterfront antisocial disorder',
+        'Dartmoor wild camping rules explained ahead of bank holiday',
+        "Tourists visiting UK's most crowded tourist city need to stop doing one thing"
+    ]);
+    assert.equal(items[0].url, 'https://www.plymouthherald.co.uk/news/plymouth-news/plymouth-court-list-sees-31-10427552');
+    assert.equal(items[0].image, 'https://i2-prod.plymouthherald.co.uk/court.jpg');
+});
+
+test('custom selectors read titles, links, dates and summaries inside each item', () => {
+    const html = `
+        <div class="card"><h3><a href="/a">First custom story</a></h3><time datetime="2025-08-16T10:00:00Z"></time><p>One</p></div>
+        <div class="card"><h3><a href="/b">Second custom story</a></h3><time>not a date</time><p>Two</p></div>
+        <div class="card"><h3>No link here</h3></div>`;
+    const items = extractHeadlines(html, 'https://example.test/news', {
+        item: '.card', title: 'h3', link: 'h3 a', date: 'time', summary: 'p', max: 5
+    });
+
+    assert.equal(items.length, 2);
+    assert.deepEqual(items.map(item => item.url), ['https://example.test/a', 'https://example.test/b']);
+    assert.equal(items[0].ts, Date.parse('2025-08-16T10:00:00Z'));
+    assert.equal(items[1].ts, null);
+    assert.equal(items[0].summary, 'One');
+});
+
+test('parseScrapeOptions handles quoted selectors and numeric max', () => {
+    assert.deepEqual(parseScrapeOptions(' item=".card" title="h3 span" link=a max=4 Profile=plymouth-herald'), {
+        item: '.card',
+        title: 'h3 span',
+        link: 'a',
+        max: 4,
+        profile: 'plymouth-herald'
+    });
+});
@@ -0,0 +1,136 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { NewsSourceParser } = require('../server/fetchNews');
+const { fromMastodon, fromBluesky, fromTweetsFile, filterByHashtags, maskProfanity, toSocialHeadline } = require('../server/social');
+const { startStubServer, readFixture, quietly } = require('./helpers');
+
+// A federated server is free to send any link it likes
+const HOSTILE_STATUS = {
+    id: '1',
+    uri: 'javascript:alert(document.cookie)',
+    url: 'javascript:alert(document.cookie)',
+    created_at: '2025-08-16T16:00:00Z',
+    content: '<p>Up the Pilgrims #pafc</p>',
+    account: { username: 'mallory', acct: 'mallory@evil.example', url: 'javascript:alert(1)' },
+    tags: [{ name: 'pafc' }]
+};
+
+let stub;
+
+before(async () => {
+    stub = await startStubServer({
+        '/api/v1/timelines/tag/pafc?limit=20&any[]=argyle': { fixture: 'mastodon-tag-pafc.json', type: 'application/json' },
+        '/api/v1/timelines/tag/pafc?limit=20': { body: JSON.stringify([HOSTILE_STATUS]), type: 'application/json' },
+        '/xrpc/app.bsky.feed.searchPosts?q=%23pafc': { fixture: 'bluesky-search-pafc.json', type: 'application/json' }
+    });
+});
+
+after(() => stub.close());
+
+function sourceFrom(parser, line) {
+    const parts = line.split(/\s+/);
+    return { ...parser.sourceTypes.get(parts[0]).parse(parts, line), type: parser.sourceTypes.get(parts[0]).type };
+}
+
+test('Mastodon statuses keep post time, display name, media and permalink', () => {
+    const [post, boost, sensitive] = fromMastodon(JSON.parse(readFixture('mastodon-tag-pafc.json')));
+
+    assert.equal(post.text, 'What a comeback at Home Park! Get in, you beauty #pafc');
+    assert.equal(post.author, 'Green Army 🟢');
+    assert.equal(post.publishedAt, '2025-08-16T16:02:11.000Z');
+    assert.equal(post.permalink, 'https://mastodon.social/@greenarmy/113000000000000001');
+    assert.deepEqual(post.media, [{
+        type: 'image',
+        url: 'https://files.mastodon.social/media/original/homepark.jpg',
+        preview: 'https://files.mastodon.social/media/small/homepark.jpg',
+        alt: 'The Devonport End celebrating'
+    }]);
+
+    assert.equal(boost.handle, 'janner@fosstodon.org', 'a boost is credited to the original author');
+    assert.deepEqual(boost.hashtags, ['pafc', 'argyle']);
+    assert.equal(sensitive.text, 'CW: Injury photo');
+    assert.deepEqual(sensitive.media, [], 'sensitive media is left out');
+});
+
+test('Bluesky posts get bsky.app permalinks and facet hashtags', () => {
+    const [post, other] = fromBluesky(JSON.parse(readFixture('bluesky-search-pafc.json')));
+
+    assert.equal(post.permalink, 'https://bsky.app/profile/pilgrimspod.bsky.social/post/3kxyzpafc01');
+    assert.equal(post.author, 'Pilgrims Podcast');
+    assert.deepEqual(post.hashtags, ['pafc']);
+    assert.equal(post.media[0].alt, 'Podcast artwork');
+    assert.equal(other.author, 'someone.bsky.social', 'falls back to the handle');
+});
+
+test('hashtag filters match case-insensitively with or without the #', () => {
+    const posts = fromMastodon(JSON.parse(readFixture('mastodon-tag-pafc.json')));
+
+    assert.equal(filterByHashtags(posts, ['#PAFC']).length, 2);
+    assert.equal(filterByHashtags(posts, ['football']).length, 1);
+    assert.equal(filterByHashtags(posts, []).length, 3);
+});
+
+test('profanity is masked as whole words only', () => {
+    assert.equal(maskProfanity('Up the bastard Argyle, fucking brilliant'), 'Up the b****** Argyle, f****** brilliant');
+    assert.equal(maskProfanity('Scunthorpe and Dickens are fine'), 'Scunthorpe and Dickens are fine');
+});
+
+test('handles and hashtags are masked too', () => {
+    const [post] = fromTweetsFile([{ username: 'shite', hashtag: '#bollocks', comment: 'Great win' }]);
+    const headline = toSocialHeadline(post, 'tweets');
+
+    assert.equal(headline.title, '#b******* @s****: Great win');
+    assert.deepEqual(headline.categories, ['#b*******']);
+});
+
+test('Tweets.json keeps a real post time when it has one', () => {
+    const [dated, undated] = fromTweetsFile([
+        { username: 'pilgrim', hashtag: '#pafc', comment: 'Great win', createdAt: '2025-08-16T16:00:00Z' },
+        { username: 'janner', hashtag: '#pafc', comment: 'Home Park rocking' }
+    ]);
+
+    assert.equal(dated.publishedAt, '2025-08-16T16:00:00.000Z');
+    assert.equal(undated.publishedAt, null);
+    assert.deepEqual(dated.hashtags, ['pafc']);
+});
+
+test('mastodon directives follow hashtag timelines and mask posts for the ticker', async () => {
+    const parser = new NewsSourceParser();
+    const source = sourceFrom(parser, `mastodon ${stub.baseUrl} #pafc #argyle`);
+    const headlines = await quietly(() => parser.fetchHeadlines([source], { cluster: false }));
+    const byAuthor = Object.fromEntries(headlines.map(headline => [headline.author, headline]));
+
+    assert.equal(source.url, `${stub.baseUrl}/api/v1/timelines/tag/pafc?limit=20&any[]=argyle`);
+    assert.equal(headlines.length, 2, 'the #football post is filtered out');
+    assert.equal(byAuthor['Janner Jim'].title, '@janner@fosstodon.org: Referee was s*** all afternoon & we still won #PAFC #Argyle');
+    assert.equal(byAuthor['Janner Jim'].ts, Date.parse('2025-08-16T15:58:40.000Z'));
+    assert.equal(byAuthor['Green Army 🟢'].image, 'https://files.mastodon.social/media/small/homepark.jpg');
+    assert.deepEqual(byAuthor['Green Army 🟢'].categories, ['#pafc']);
+});
+
+test('mastodon permalinks that are not http(s) fall back to the hashtag page', async () => {
+    assert.equal(fromMastodon([HOSTILE_STATUS])[0].permalink, null);
+
+    const parser = new NewsSourceParser();
+    const source = sourceFrom(parser, `mastodon ${stub.baseUrl} #pafc`);
+    const [headline] = await quietly(() => parser.fetchHeadlines([source], { cluster: false }));
+
+    assert.equal(headline.url, `${stub.baseUrl}/tags/pafc`);
+});
+
+test('bluesky directives read search results as headlines', async () => {
+    const parser = new NewsSourceParser();
+    const source = sourceFrom(parser, `bluesky ${stub.baseUrl}/xrpc/app.bsky.feed.searchPosts?q=%23pafc #pafc`);
+    const headlines = await quietly(() => parser.fetchHeadlines([source], { cluster: false }));
+
+    assert.equal(headlines.length, 1);
+    assert.equal(headlines[0].title, '@pilgrimspod.bsky.social: New episode: the f****** brilliant Bolton comeback, plus the Wycombe preview #pafc');
+    assert.equal(headlines[0].url, 'https://bsky.app/profile/pilgrimspod.bsky.social/post/3kxyzpafc01');
+    assert.equal(headlines[0].source, 'Bluesky');
+    assert.equal(headlines[0].publishedAt, '2025-08-17T09:30:00.000Z');
+});
+
+test('a mastodon line without hashtags or an API URL is malformed', () => {
+    const parser = new NewsSourceParser();
+    assert.equal(parser.sourceTypes.get('mastodon').parse(['mastodon', 'https://mastodon.social']), null);
+});
@@ -0,0 +1,142 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { Headline } = require('../server/headline');
+const { NewsSourceParser } = require('../server/fetchNews');
+const { NewsScheduler, diffHeadlines } = require('../server/scheduler');
+const { startApp, quietly } = require('./helpers');
+
+const GOAL = new Headline('Argyle score in stoppage time', 'https://pafc.test/goal', 'www.pafc.co.uk');
+const KICKOFF = new Headline('Kick-off at Home Park', 'https://pafc.test/kickoff', 'www.pafc.co.uk');
+
+// Open an event stream and collect its events as { event, data }
+function openStream(url) {
+    return new Promise((resolve, reject) => {
+        const request = http.get(url, response => {
+            const events = [];
+            const waiters = [];
+            let buffer = '';
+            response.setEncoding('utf8');
+            response.on('data', chunk => {
+                buffer += chunk;
+                let end;
+                while ((end = buffer.indexOf('\n\n')) !== -1) {
+                    const block = buffer.slice(0, end);
+                    buffer = buffer.slice(end + 2);
+                    const event = (block.match(/^event: (.*)$/m) || [])[1];
+                    const data = (block.match(/^data: (.*)$/m) || [])[1];
+                    if (!event) continue; // retry: and heartbeat comments
+                    events.push({ event, data: JSON.parse(data) });
+                    waiters.splice(0).forEach(wake => wake());
+                }
+            });
+            resolve({
+                response,
+                events,
+                // Resolves once `count` events have arrived
+                waitFor: count => new Promise(done => {
+                    const check = () => (events.length >= count ? done(events) : waiters.push(check));
+                    check();
+                }),
+                close: () => request.destroy()
+            });
+        });
+        request.on('error', reject);
+    });
+}
+
+test('diffHeadlines reports new headlines in order and the ids that went', () => {
+    const diff = diffHeadlines([KICKOFF], [GOAL, KICKOFF]);
+    assert.deepEqual(diff.added.map(headline => headline.id), [GOAL.id]);
+    assert.deepEqual(diff.removed, []);
+
+    assert.deepEqual(diffHeadlines([GOAL, KICKOFF], [GOAL]), { added: [], removed: [KICKOFF.id] });
+});
+
+test('a refresh that changes the snapshot emits an update with the diff', async () => {
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ticker-stream-'));
+    const sourceFile = path.join(rootDir, 'demo.txt');
+    const parser = new NewsSourceParser();
+    parser.saveHeadlines = async () => {}; // keep server/cache untouched
+    parser.saveMeta = async () => {};
+    const scheduler = new NewsScheduler({ demo: { sourceFile: 'demo.txt' } }, { parser, rootDir });
+    const updates = [];
+    scheduler.on('update', (service, diff) => updates.push({ service, diff }));
+
+    try {
+        fs.writeFileSync(sourceFile, `headline "${KICKOFF.title}" ${KICKOFF.url}\n`);
+        await quietly(() => scheduler.refresh('demo'));
+        await quietly(() => scheduler.refresh('demo'));
+        assert.equal(updates.length, 1, 'an unchanged refresh stays quiet');
+
+        fs.writeFileSync(sourceFile, `headline "${GOAL.title}" ${GOAL.url}\n`);
+        await quietly(() => scheduler.refresh('demo'));
+        const { service, diff } = updates[1];
+        assert.equal(service, 'demo');
+        assert.deepEqual(diff.added.map(headline => headline.title), [GOAL.title]);
+        assert.deepEqual(diff.removed, [KICKOFF.id]);
+        assert.equal(typeof diff.updatedAt, 'number');
+    } finally {
+        fs.rmSync(rootDir, { recursive: true, force: true });
+    }
+});
+
+let server;
+
+before(async () => {
+    server = await startApp();
+    for (const service of ['sports', 'news']) {
+        server.scheduler.services[service].frontJson = [];
+    }
+});
+
+after(() => server.close());
+
+test('/api/news/stream sends diffs for its own service only', async () => {
+    const sports = await openStream(`${server.baseUrl}/api/news/stream?service=sports`);
+    const news = await openStream(`${server.baseUrl}/api/news/stream?service=news`);
+    try {
+        assert.match(sports.response.headers['content-type'], /^text\/event-stream/);
+        assert.deepEqual((await sports.waitFor(1))[0], { event: 'ready', data: { service: 'sports' } });
+        await news.waitFor(1);
+
+        server.scheduler.emit('update', 'sports', { added: [GOAL], removed: [KICKOFF.id], updatedAt: 1755360000000 });
+        const [, diff] = await sports.waitFor(2);
+        assert.equal(diff.event, 'diff');
+        assert.equal(diff.data.service, 'sports');
+        assert.deepEqual(diff.data.added.map(headline => [headline.id, headline.title, headline.lang]), [[GOAL.id, GOAL.title, 'en-GB']]);
+        assert.deepEqual(diff.data.removed, [KICKOFF.id]);
+        assert.equal(diff.data.updatedAt, 1755360000000);
+
+        // The news stream's next event is its own update, not the sports one
+        server.scheduler.emit('update', 'news', { added: [KICKOFF], removed: [], updatedAt: 1755360060000 });
+        const [, newsDiff] = await news.waitFor(2);
+        assert.equal(newsDiff.data.service, 'news');
+        assert.deepEqual(newsDiff.data.added.map(headline => headline.id), [KICKOFF.id]);
+        assert.equal(sports.events.length, 2);
+    } finally {
+        sports.close();
+        news.close();
+    }
+});
+
+test('/api/news/stream leaves out hidden headlines', async () => {
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ticker-stream-'));
+    const frontFile = path.join(rootDir, 'sports.json');
+    fs.writeFileSync(frontFile, JSON.stringify({ items: [], hidden: [{ id: GOAL.id, hiddenAt: new Date().toISOString() }] }));
+    server.scheduler.services.sports.frontJson = [frontFile];
+    const sports = await openStream(`${server.baseUrl}/api/news/stream?service=sports`);
+    try {
+        await sports.waitFor(1);
+        server.scheduler.emit('update', 'sports', { added: [GOAL, KICKOFF], removed: [], updatedAt: Date.now() });
+        const [, diff] = await sports.waitFor(2);
+        assert.deepEqual(diff.data.added.map(headline => headline.id), [KICKOFF.id]);
+    } finally {
+        sports.close();
+        server.scheduler.services.sports.frontJson = [];
+        fs.rmSync(rootDir, { recursive: true, force: true });
+    }
+});
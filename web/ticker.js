@@ -7,13 +7,22 @@ class NewsTicker {
                 ? 'https://ajanner.onrender.com/api/news'
                 : '/api/news');
 
+        const endpoint = options.endpoint || computedDefaultEndpoint;
+
         this.options = {
             target: options.target || '#news-ticker',
-            endpoint: options.endpoint || computedDefaultEndpoint,
+            endpoint: endpoint,
+            servicesEndpoint: options.servicesEndpoint || this.siblingEndpoint(endpoint, path => path.replace(/\/news\/?$/, '/services')),
+            streamEndpoint: options.streamEndpoint || this.siblingEndpoint(endpoint, path => `${path.replace(/\/$/, '')}/stream`),
+            stream: options.stream !== false, // live updates over Server-Sent Events
             speed: options.speed || 60, // pixels per second
             gap: options.gap || 48, // gap between headlines
             pauseOnHover: options.pauseOnHover !== false,
-            direction: options.direction || 'ltr',
+            direction: NewsTicker.DIRECTIONS.includes(options.direction) ? options.direction : 'ltr',
+            flipInterval: options.flipInterval || 4000, // ms per headline in 'flip' mode
+            mode: NewsTicker.MODES.includes(options.mode) ? options.mode : 'single',
+            mix: options.mix || { sports: 2, local: 1, weather: 1 }, // section weights in 'mixed' mode
+            rotateLoops: options.rotateLoops || 3, // loops per section in 'rotate' mode
             fontCss: options.fontCss || null,
             maxHeadlines: options.maxHeadlines || 50
         };
@@ -22,11 +31,18 @@ class NewsTicker {
         this.ticker = null;
         this.headlines = [];
         this.isPaused = false;
+        this.pausedBy = new Set(); // 'user' (pause control or pause()), 'hover', 'focus' and 'preview' (the headline card)
         this.animationId = null;
-        this.currentPosition = 0;
+        this.currentPosition = 0; // transform offset along the scroll axis, in px
+        this.loopSize = 0; // distance from a headline to its copy in the second half
+        this.flipIndex = 0;
+        this.flipElapsed = 0; // ms spent on the current headline in 'flip' mode
+        this.loopCount = 0; // complete loops of the current headlines, for 'rotate' mode
         this.lastUpdate = 0;
         this.offlineMode = false;
         this.currentService = 'news';
+        this.eventSource = null;
+        this.streamService = null;
 
         this.init();
     }
@@ -46,6 +62,9 @@ class NewsTicker {
 
             this.setupTicker();
 
+            // Replace the built-in section list with the server's services.json manifest
+            await this.loadServices();
+
             // Load and apply user preferences before first fetch
             this.loadPreferences();
             this.applyPreferences();
@@ -61,11 +80,11 @@ class NewsTicker {
                 serviceBtn.classList.add('loading');
             }
 
-            // Force start with sports on first load, regardless of cache
+            // Force start with the first section on first load, regardless of cache
             if (!this.preferences.hasOwnProperty('service')) {
                 this.currentServiceIndex = 0;
-                this.currentService = 'sports';
-                console.log('🔄 Forcing initial load to Sports section');
+                this.currentService = this.serviceCycle[0].service;
+                console.log(`🔄 Forcing initial load to ${this.serviceCycle[0].label} section`);
             }
             
             // Perform initial load with spinner, then restore button state
@@ -74,8 +93,7 @@ class NewsTicker {
             });
             this.isLoading = false;
             if (serviceBtn && this.serviceCycle && typeof this.currentServiceIndex === 'number') {
-                const currentService = this.serviceCycle[this.currentServiceIndex];
-                serviceBtn.textContent = currentService ? currentService.label : 'Sports';
+                serviceBtn.textContent = this.serviceButtonLabel();
                 serviceBtn.classList.remove('loading');
             }
 
@@ -104,15 +122,19 @@ class NewsTicker {
         // Create ticker structure
         this.container.innerHTML = `
             <div class="news-ticker-container">
-                <div class="news-ticker-content">
+                <div class="news-ticker-content" tabindex="0" role="region" aria-roledescription="news ticker"
+                     aria-label="News ticker. Use the arrow keys to step through headlines and Space to pause.">
                     <div class="news-ticker-track">
-                        <div class="news-ticker-list"></div>
+                        <div class="news-ticker-list" role="list"></div>
                     </div>
                 </div>
                 <div class="news-service-selector">
+                    <button class="news-ticker-control" id="news-pause-btn" aria-pressed="false" aria-label="Pause ticker" title="Pause">⏸</button>
+                    <button class="news-ticker-control" id="news-list-btn" aria-haspopup="dialog" aria-expanded="false" aria-label="Show all headlines" title="All headlines">☰</button>
                     <button class="news-service-button" id="news-service-btn">Sports</button>
                 </div>
                 <div class="news-ticker-offline" style="display: none;">📡 Offline</div>
+                <div class="news-ticker-announcer" role="status" aria-live="polite" aria-atomic="true"></div>
             </div>
         `;
 
@@ -124,16 +146,26 @@ class NewsTicker {
         this.ticker = this.container.querySelector('.news-ticker-track');
         this.tickerList = this.container.querySelector('.news-ticker-list');
         this.offlineBadge = this.container.querySelector('.news-ticker-offline');
+        this.announcer = this.container.querySelector('.news-ticker-announcer');
 
         // Set up hover events
         if (this.options.pauseOnHover) {
-            this.container.addEventListener('mouseenter', () => this.pause());
-            this.container.addEventListener('mouseleave', () => this.resume());
+            this.container.addEventListener('mouseenter', () => this.pause('hover'));
+            this.container.addEventListener('mouseleave', () => this.resume('hover'));
         }
 
-        // Set direction
-        if (this.options.direction === 'rtl') {
-            this.ticker.style.direction = 'rtl';
+        this.setupKeyboard();
+        this.setupPauseControl();
+        this.setupListView();
+        this.setupPreviewCard();
+
+        this.applyDirection();
+
+        // Item widths change with the viewport (responsive font sizes) and once web fonts load
+        this.onLayoutChange = () => this.refreshLayout();
+        window.addEventListener('resize', this.onLayoutChange);
+        if (document.fonts && document.fonts.addEventListener) {
+            document.fonts.addEventListener('loadingdone', this.onLayoutChange);
         }
 
         // Set up news service selector
@@ -142,12 +174,557 @@ class NewsTicker {
         this.setupSettingsPanel();
     }
 
+    // With focus on the ticker, the arrow keys step through headlines (the ticker holds still
+    // meanwhile), Home/End jump to the first/last one, Space pauses and Escape leaves the links
+    setupKeyboard() {
+        const content = this.container.querySelector('.news-ticker-content');
+        if (!content) return;
+
+        content.addEventListener('keydown', (e) => {
+            // In the scroll-right direction the next headline is the one to the left
+            const forward = this.options.direction === 'rtl' ? 'ArrowLeft' : 'ArrowRight';
+            const backward = this.options.direction === 'rtl' ? 'ArrowRight' : 'ArrowLeft';
+            const count = this.tickerList.children.length / 2;
+            if (count < 1 && e.key !== ' ') return;
+
+            let index = null;
+            if (e.key === forward || e.key === 'ArrowDown') index = (this.currentItemIndex() + 1) % count;
+            else if (e.key === backward || e.key === 'ArrowUp') index = (this.currentItemIndex() - 1 + count) % count;
+            else if (e.key === 'Home') index = 0;
+            else if (e.key === 'End') index = count - 1;
+            else if (e.key === ' ') {
+                e.preventDefault();
+                this.togglePause();
+                return;
+            } else if (e.key === 'Escape' && document.activeElement !== content) {
+                content.focus({ preventScroll: true });
+                return;
+            } else {
+                return;
+            }
+
+            e.preventDefault();
+            this.showItem(index);
+            const link = this.tickerList.children[index].querySelector('a');
+            if (link) link.focus({ preventScroll: true });
+        });
+
+        // Hold still for keyboard users; a mouse click on a link shouldn't freeze the ticker
+        content.addEventListener('focusin', (e) => {
+            let keyboard = true;
+            try { keyboard = e.target.matches(':focus-visible'); } catch (_) {}
+            if (keyboard) this.pause('focus');
+        });
+        content.addEventListener('focusout', (e) => {
+            if (!content.contains(e.relatedTarget)) this.resume('focus');
+        });
+    }
+
+    // The headline at the leading edge of the view (or the focused one), in the first copy
+    currentItemIndex() {
+        const items = Array.from(this.tickerList.children);
+        const half = items.length / 2;
+        const focused = items.findIndex(el => el.contains(document.activeElement));
+        if (focused !== -1) return focused % half;
+        if (this.options.direction === 'flip') return this.flipIndex % half;
+
+        const viewStart = -this.currentPosition;
+        const viewEnd = viewStart + this.viewportWidth();
+        const index = this.options.direction === 'rtl'
+            ? items.findIndex(el => el.offsetLeft < viewEnd)
+            : items.findIndex(el => el.offsetLeft + el.offsetWidth > viewStart);
+        return Math.max(0, index) % half;
+    }
+
+    // Bring headline `index` to the leading edge of the view
+    showItem(index) {
+        const el = this.tickerList.children[index];
+        if (!el) return;
+        const edge = 20; // the list's own padding
+        if (this.options.direction === 'flip') {
+            this.flipIndex = index;
+            this.flipElapsed = 0;
+        } else if (this.options.direction === 'rtl') {
+            this.currentPosition = this.viewportWidth() - (el.offsetLeft + el.offsetWidth) - edge;
+        } else {
+            this.currentPosition = edge - el.offsetLeft;
+        }
+        this.applyPosition();
+    }
+
+    // WCAG 2.2.2: moving content needs a way to stop it. Visitors who ask for reduced motion
+    // start with the ticker paused.
+    setupPauseControl() {
+        const pauseBtn = this.container.querySelector('#news-pause-btn');
+        if (pauseBtn) pauseBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.togglePause();
+        });
+        if (typeof window.matchMedia === 'function' && window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+            this.pause('user');
+        }
+    }
+
+    togglePause() {
+        if (this.pausedBy.has('user')) this.resume('user');
+        else this.pause('user');
+    }
+
+    updatePauseControl() {
+        const pauseBtn = this.container && this.container.querySelector('#news-pause-btn');
+        if (!pauseBtn) return;
+        const paused = this.pausedBy.has('user');
+        pauseBtn.textContent = paused ? '▶' : '⏸';
+        pauseBtn.title = paused ? 'Resume' : 'Pause';
+        pauseBtn.setAttribute('aria-pressed', String(paused));
+        pauseBtn.setAttribute('aria-label', paused ? 'Resume ticker' : 'Pause ticker');
+    }
+
+    // Screen readers hear new headlines as they arrive, without losing their place
+    announceNewHeadlines(headlines) {
+        if (!this.announcer || headlines.length === 0) return;
+        const titles = headlines.slice(0, 3).map(headline => `${headline.title} (${headline.source})`);
+        const more = headlines.length > 3 ? `, and ${headlines.length - 3} more` : '';
+        this.announcer.textContent = headlines.length === 1
+            ? `New headline: ${titles[0]}`
+            : `${headlines.length} new headlines: ${titles.join('; ')}${more}`;
+    }
+
+    // Headlines that weren't on the ticker before this reload of the same section
+    freshHeadlines(previousIds) {
+        if (!previousIds || previousIds.size === 0) return [];
+        return this.headlines.filter(headline => headline.id && !previousIds.has(headline.id));
+    }
+
+    // "All headlines" popover: the current headlines as a plain list, to read at one's own pace
+    setupListView() {
+        const listBtn = this.container.querySelector('#news-list-btn');
+        let panel = document.getElementById('news-list-panel');
+        if (!panel) {
+            panel = document.createElement('div');
+            panel.id = 'news-list-panel';
+            panel.className = 'news-list-panel';
+            panel.setAttribute('role', 'dialog');
+            panel.setAttribute('aria-labelledby', 'news-list-title');
+            panel.style.display = 'none';
+            panel.innerHTML = `
+                <div class="news-settings-header">
+                    <span id="news-list-title" tabindex="-1">All headlines</span>
+                    <button class="news-settings-close" id="news-list-close" aria-label="Close" title="Close">✕</button>
+                </div>
+                <ol class="news-list-items"></ol>`;
+            document.body.appendChild(panel);
+        }
+
+        if (listBtn) listBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (this.isListViewOpen()) this.closeListView();
+            else this.openListView();
+        });
+        panel.querySelector('#news-list-close').addEventListener('click', () => this.closeListView());
+        panel.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.closeListView();
+        });
+        document.addEventListener('click', (e) => {
+            if (this.isListViewOpen() && !panel.contains(e.target) && e.target !== listBtn) this.closeListView(false);
+        });
+    }
+
+    isListViewOpen() {
+        const panel = document.getElementById('news-list-panel');
+        return !!panel && panel.style.display !== 'none';
+    }
+
+    openListView() {
+        const panel = document.getElementById('news-list-panel');
+        if (!panel) return;
+        this.renderListView();
+        panel.style.display = 'block';
+        const listBtn = this.container.querySelector('#news-list-btn');
+        if (listBtn) listBtn.setAttribute('aria-expanded', 'true');
+        panel.querySelector('#news-list-title').focus();
+    }
+
+    // Focus goes back to the button unless the panel closed because focus went elsewhere
+    closeListView(restoreFocus = true) {
+        const panel = document.getElementById('news-list-panel');
+        if (!panel) return;
+        panel.style.display = 'none';
+        const listBtn = this.container.querySelector('#news-list-btn');
+        if (listBtn) {
+            listBtn.setAttribute('aria-expanded', 'false');
+            if (restoreFocus) listBtn.focus();
+        }
+    }
+
+    renderListView() {
+        const panel = document.getElementById('news-list-panel');
+        if (!panel) return;
+        const title = panel.querySelector('#news-list-title');
+        title.textContent = this.options.mode === 'mixed'
+            ? 'All headlines: mixed sections'
+            : `All headlines: ${this.serviceButtonLabel()}`;
+
+        const list = panel.querySelector('.news-list-items');
+        list.innerHTML = '';
+        if (this.headlines.length === 0) {
+            const empty = document.createElement('li');
+            empty.textContent = 'No headlines yet.';
+            list.appendChild(empty);
+            return;
+        }
+        this.headlines.forEach(headline => {
+            const item = document.createElement('li');
+            if (headline.lang) item.setAttribute('lang', headline.lang);
+            if (this.isKeywordAlert(headline)) item.className = 'news-ticker-alert';
+            const link = document.createElement('a');
+            link.href = this.safeUrl(headline.url);
+            link.target = '_blank';
+            link.rel = 'noopener';
+            link.textContent = headline.title;
+            const meta = document.createElement('span');
+            meta.className = 'news-list-meta';
+            meta.textContent = `${headline.source} · ${this.formatTimeAgo(headline.ts)}`;
+            item.appendChild(link);
+            item.appendChild(meta);
+            list.appendChild(item);
+        });
+    }
+
+    // Preview card: hovering a headline (or a long press on touch screens) shows its summary,
+    // image, source and date, with actions to open it, copy the link, hide the source or send
+    // it to the Minds Eye canvas (main.js's window.addHeadlineBubble)
+    setupPreviewCard() {
+        let card = document.getElementById('news-preview-card');
+        if (!card) {
+            card = document.createElement('div');
+            card.id = 'news-preview-card';
+            card.className = 'news-preview-card';
+            card.setAttribute('role', 'dialog');
+            card.setAttribute('aria-label', 'Headline preview');
+            card.style.display = 'none';
+            card.innerHTML = `
+                <img class="news-preview-image" alt="" />
+                <div class="news-preview-body">
+                    <div class="news-preview-meta">
+                        <span class="news-preview-source"></span>
+                        <time class="news-preview-date"></time>
+                    </div>
+                    <div class="news-preview-title"></div>
+                    <p class="news-preview-summary"></p>
+                    <div class="news-preview-actions">
+                        <button type="button" data-action="open">Open</button>
+                        <button type="button" data-action="copy">Copy link</button>
+                        <button type="button" data-action="hide">Hide source</button>
+                        <button type="button" data-action="canvas">Send to canvas</button>
+                    </div>
+                </div>`;
+            document.body.appendChild(card);
+        }
+        this.previewCard = card;
+        this.previewItem = null;
+        this.previewTimer = null;
+
+        const image = card.querySelector('.news-preview-image');
+        image.addEventListener('error', () => { image.style.display = 'none'; });
+
+        card.addEventListener('mouseenter', () => clearTimeout(this.previewTimer));
+        card.addEventListener('mouseleave', () => this.schedulePreview(null));
+        card.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.hidePreview();
+        });
+        card.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (button) this.runPreviewAction(button.getAttribute('data-action'), button);
+        });
+
+        // Desktop: hover, with a short delay so sweeping across the ticker doesn't flash cards
+        this.tickerList.addEventListener('mouseover', (e) => {
+            const item = e.target.closest('.news-ticker-item');
+            if (item && item !== this.previewItem) this.schedulePreview(item);
+            else if (item) clearTimeout(this.previewTimer);
+        });
+        this.tickerList.addEventListener('mouseout', (e) => {
+            const item = e.target.closest('.news-ticker-item');
+            if (item && !item.contains(e.relatedTarget) && !card.contains(e.relatedTarget)) this.schedulePreview(null);
+        });
+
+        // Touch: a long press shows the card instead of following the link
+        let pressTimer = null;
+        let pressStart = null;
+        this.tickerList.addEventListener('touchstart', (e) => {
+            const item = e.target.closest('.news-ticker-item');
+            if (!item || e.touches.length !== 1) return;
+            pressStart = { x: e.touches[0].clientX, y: e.touches[0].clientY };
+            clearTimeout(pressTimer);
+            pressTimer = setTimeout(() => {
+                this.suppressNextClick = true;
+                this.showPreview(item);
+            }, 500);
+        }, { passive: true });
+        this.tickerList.addEventListener('touchmove', (e) => {
+            if (!pressStart) return;
+            const dx = e.touches[0].clientX - pressStart.x;
+            const dy = e.touches[0].clientY - pressStart.y;
+            if (Math.hypot(dx, dy) > 10) clearTimeout(pressTimer);
+        }, { passive: true });
+        this.tickerList.addEventListener('touchend', () => {
+            clearTimeout(pressTimer);
+            pressStart = null;
+        });
+        this.tickerList.addEventListener('click', (e) => {
+            if (!this.suppressNextClick) return;
+            this.suppressNextClick = false;
+            e.preventDefault();
+        }, true);
+        this.tickerList.addEventListener('contextmenu', (e) => {
+            if (this.previewItem) e.preventDefault();
+        });
+
+        document.addEventListener('click', (e) => {
+            if (!this.previewItem || card.contains(e.target) || this.tickerList.contains(e.target)) return;
+            this.hidePreview();
+        });
+    }
+
+    // Show the card for `item` (or hide it, for null) after a moment
+    schedulePreview(item) {
+        clearTimeout(this.previewTimer);
+        this.previewTimer = setTimeout(() => {
+            if (item) this.showPreview(item);
+            else this.hidePreview();
+        }, item ? 350 : 250);
+    }
+
+    // The headline behind a rendered item: by id, or by position for fallback headlines
+    headlineForItem(item) {
+        const id = item.getAttribute('data-id');
+        if (id) return this.headlines.find(headline => headline.id === id) || null;
+        return this.headlines[parseInt(item.getAttribute('data-index'), 10)] || null;
+    }
+
+    showPreview(item) {
+        const headline = this.headlineForItem(item);
+        const card = this.previewCard;
+        if (!headline || !card) return;
+        this.previewItem = item;
+        this.previewHeadline = headline;
+
+        const image = card.querySelector('.news-preview-image');
+        if (headline.image && /^https?:\/\//.test(headline.image)) {
+            image.src = headline.image;
+            image.style.display = '';
+        } else {
+            image.removeAttribute('src');
+            image.style.display = 'none';
+        }
+
+        const published = headline.publishedAt || headline.ts;
+        const date = card.querySelector('.news-preview-date');
+        const publishedMs = new Date(published).getTime();
+        date.textContent = isNaN(publishedMs) ? '' : `${new Date(publishedMs).toLocaleString()} (${this.formatTimeAgo(published)})`;
+        if (!isNaN(publishedMs)) date.setAttribute('datetime', new Date(publishedMs).toISOString());
+        card.querySelector('.news-preview-source').textContent = headline.author ? `${headline.source} · ${headline.author}` : headline.source;
+
+        const title = card.querySelector('.news-preview-title');
+        title.textContent = headline.title;
+        if (headline.lang) title.setAttribute('lang', headline.lang);
+        else title.removeAttribute('lang');
+        const summary = card.querySelector('.news-preview-summary');
+        summary.textContent = headline.summary || '';
+        summary.style.display = headline.summary ? '' : 'none';
+
+        const hasLink = headline.url && headline.url !== '#';
+        card.querySelector('[data-action="open"]').disabled = !hasLink;
+        card.querySelector('[data-action="copy"]').disabled = !hasLink;
+        card.querySelector('[data-action="copy"]').textContent = 'Copy link';
+        card.querySelector('[data-action="canvas"]').style.display = typeof window.addHeadlineBubble === 'function' ? '' : 'none';
+
+        // Above the item (the ticker sits at the bottom of the page), kept inside the viewport
+        card.style.display = 'block';
+        const rect = item.getBoundingClientRect();
+        const left = Math.min(Math.max(10, rect.left), window.innerWidth - card.offsetWidth - 10);
+        card.style.left = `${left}px`;
+        card.style.bottom = `${Math.max(10, window.innerHeight - rect.top + 8)}px`;
+
+        // Keep the headline under the card while it's open
+        this.pause('preview');
+    }
+
+    hidePreview() {
+        clearTimeout(this.previewTimer);
+        if (this.previewCard) this.previewCard.style.display = 'none';
+        this.previewItem = null;
+        this.previewHeadline = null;
+        this.resume('preview');
+    }
+
+    async runPreviewAction(action, button) {
+        const headline = this.previewHeadline;
+        if (!headline) return;
+        if (action === 'open') {
+            window.open(this.safeUrl(headline.url), '_blank', 'noopener');
+            this.hidePreview();
+        } else if (action === 'copy') {
+            try {
+                await navigator.clipboard.writeText(headline.url);
+                button.textContent = 'Copied ✓';
+            } catch (error) {
+                console.warn('Failed to copy headline link:', error.message);
+                button.textContent = 'Copy failed';
+            }
+        } else if (action === 'hide') {
+            this.hidePreview();
+            this.hideSource(headline.source);
+        } else if (action === 'canvas') {
+            window.addHeadlineBubble(headline);
+            console.log(`🫧 Sent to canvas: ${headline.title}`);
+            this.hidePreview();
+        }
+    }
+
+    // Hidden sources are dropped from every section until unhidden in the settings panel
+    hideSource(source) {
+        const hidden = this.preferences.hiddenSources || [];
+        if (!hidden.includes(source)) this.preferences.hiddenSources = [...hidden, source];
+        this.savePreferences();
+        this.renderHiddenSources();
+        console.log(`🙈 Hiding headlines from ${source}`);
+
+        // Headlines with ids leave the running scroll in place; fallback ones need a re-render
+        const fromSource = this.headlines.filter(headline => headline.source === source);
+        if (fromSource.every(headline => headline.id)) {
+            this.applyHeadlineDiff({ added: [], removed: fromSource.map(headline => headline.id) });
+        } else {
+            this.renderHeadlines();
+        }
+    }
+
+    unhideSource(source) {
+        this.preferences.hiddenSources = (this.preferences.hiddenSources || []).filter(hidden => hidden !== source);
+        this.savePreferences();
+        this.renderHiddenSources();
+        console.log(`👀 Showing headlines from ${source} again`);
+        this.loadHeadlines();
+    }
+
+    // Headlines the ticker should leave out, whichever way they arrived: hidden sources and
+    // muted keywords
+    filterHeadlines(headlines) {
+        const hidden = new Set((this.preferences && this.preferences.hiddenSources) || []);
+        return headlines.filter(headline => !hidden.has(headline.source) && this.ruleActionFor(headline) !== 'mute');
+    }
+
+    // Keyword rules from the settings panel, { keyword, action }, where action is 'highlight',
+    // 'front' (highlight and move to the front) or 'mute' (drop the headline)
+    keywordRules() {
+        return (this.preferences && Array.isArray(this.preferences.keywordRules)) ? this.preferences.keywordRules : [];
+    }
+
+    // Whole words or phrases, any case: "Argyle" matches "Argyle's" but not "Argyleshire"
+    keywordPattern(keyword) {
+        this.keywordPatterns = this.keywordPatterns || new Map();
+        if (!this.keywordPatterns.has(keyword)) {
+            const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+            this.keywordPatterns.set(keyword, new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'iu'));
+        }
+        return this.keywordPatterns.get(keyword);
+    }
+
+    // The rule that decides what happens to a headline: a mute beats moving to the front,
+    // which beats a plain highlight
+    matchKeywordRule(headline) {
+        const text = `${headline.title || ''} ${headline.summary || ''}`;
+        const matching = this.keywordRules().filter(rule => this.keywordPattern(rule.keyword).test(text));
+        return ['mute', 'front', 'highlight']
+            .map(action => matching.find(rule => rule.action === action))
+            .find(Boolean) || null;
+    }
+
+    ruleActionFor(headline) {
+        const rule = this.matchKeywordRule(headline);
+        return rule ? rule.action : null;
+    }
+
+    isKeywordAlert(headline) {
+        const action = this.ruleActionFor(headline);
+        return action === 'highlight' || action === 'front';
+    }
+
+    // 'front' matches first, each group keeping the server's order
+    prioritizeHeadlines(headlines) {
+        const front = headlines.filter(headline => this.ruleActionFor(headline) === 'front');
+        if (front.length === 0) return headlines;
+        return [...front, ...headlines.filter(headline => this.ruleActionFor(headline) !== 'front')];
+    }
+
+    addKeywordRule(keyword, action) {
+        const text = String(keyword || '').trim().replace(/\s+/g, ' ');
+        if (!text || !['highlight', 'front', 'mute'].includes(action)) return false;
+        const rules = this.keywordRules().filter(rule => rule.keyword.toLowerCase() !== text.toLowerCase());
+        this.preferences.keywordRules = [...rules, { keyword: text, action }];
+        this.savePreferences();
+        this.renderKeywordRules();
+        console.log(`🔔 Keyword rule: ${action} "${text}"`);
+        this.renderHeadlines();
+        return true;
+    }
+
+    removeKeywordRule(rule) {
+        this.preferences.keywordRules = this.keywordRules().filter(existing => existing !== rule);
+        this.savePreferences();
+        this.renderKeywordRules();
+        console.log(`🔕 Removed keyword rule: ${rule.action} "${rule.keyword}"`);
+        // Muted headlines were dropped, so fetch them again
+        if (rule.action === 'mute') this.loadHeadlines();
+        else this.renderHeadlines();
+    }
+
+    async requestNotificationPermission() {
+        if (typeof Notification === 'undefined') {
+            console.warn('Desktop notifications are not supported in this browser');
+            return false;
+        }
+        if (Notification.permission === 'default') {
+            try {
+                await Notification.requestPermission();
+            } catch (_) {}
+        }
+        return Notification.permission === 'granted';
+    }
+
+    // A desktop notification per highlighted headline that arrived with a refresh
+    notifyKeywordAlerts(headlines) {
+        if (!this.preferences || !this.preferences.notifyAlerts) return;
+        if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+        headlines.filter(headline => this.isKeywordAlert(headline)).slice(0, 3).forEach(headline => {
+            const rule = this.matchKeywordRule(headline);
+            const notification = new Notification(`📰 ${rule.keyword}`, {
+                body: `${headline.title} (${headline.source})`,
+                tag: headline.id || headline.url,
+                lang: headline.lang || ''
+            });
+            notification.onclick = () => {
+                window.focus();
+                const url = this.safeUrl(headline.url);
+                if (url !== '#') window.open(url, '_blank', 'noopener');
+                notification.close();
+            };
+        });
+    }
+
+    // New arrivals from a refresh or a live update
+    reportNewHeadlines(headlines) {
+        this.announceNewHeadlines(headlines);
+        this.notifyKeywordAlerts(headlines);
+    }
+
     setupServiceSelector() {
         const serviceBtn = this.container.querySelector('#news-service-btn');
         
         console.log('Setting up service selector:', { serviceBtn });
 
-        // Define the cycling order
+        // Built-in cycling order, replaced by /api/services once it loads
         this.serviceCycle = [
             { service: 'sports', label: 'Sports', emoji: '⚽' },
             { service: 'local', label: 'Local', emoji: '🏠' },
@@ -179,6 +756,9 @@ class NewsTicker {
             // If ticker is hidden (showing 📤), show it back
             if (this.container.querySelector('.news-ticker-content').classList.contains('hidden')) {
                 this.toggleTickerVisibility();
+            } else if (this.options.mode === 'mixed') {
+                // Every section is already showing, so fetch them all again
+                this.refresh();
             } else {
                 // Otherwise cycle through services
                 this.cycleToNextService();
@@ -193,12 +773,159 @@ class NewsTicker {
         });
     }
 
+    async loadServices() {
+        try {
+            const response = await fetch(this.options.servicesEndpoint);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const manifest = await response.json();
+            const cycle = (manifest.services || []).map(entry => ({
+                service: entry.id,
+                label: entry.label || entry.id,
+                emoji: entry.emoji || '',
+                sourceFile: entry.sourceFile,
+                backupFile: entry.backupFile,
+                frontJson: entry.frontJson || []
+            }));
+            if (cycle.length === 0) return;
+
+            this.serviceCycle = cycle;
+            this.currentServiceIndex = 0;
+            this.currentService = cycle[0].service;
+            this.renderServiceOptions();
+            this.renderMixOptions();
+            console.log(`🗂️ Loaded ${cycle.length} services from ${this.options.servicesEndpoint}`);
+        } catch (error) {
+            console.warn('Failed to load services, using built-in list:', error.message);
+        }
+    }
+
+    // Rebuild the settings panel's section dropdown from the current service cycle
+    renderServiceOptions() {
+        const serviceEl = document.getElementById('news-settings-service');
+        if (!serviceEl || !this.serviceCycle) return;
+        serviceEl.innerHTML = '';
+        this.serviceCycle.forEach(entry => {
+            const option = document.createElement('option');
+            option.value = entry.service;
+            option.textContent = entry.emoji ? `${entry.emoji} ${entry.label}` : entry.label;
+            serviceEl.appendChild(option);
+        });
+        serviceEl.value = this.currentService;
+    }
+
+    // One weight per section for 'mixed' mode; 0 leaves the section out
+    renderMixOptions() {
+        const mixEl = document.getElementById('news-settings-mix');
+        if (!mixEl || !this.serviceCycle) return;
+        mixEl.innerHTML = '';
+        this.serviceCycle.forEach(entry => {
+            const row = document.createElement('label');
+            row.className = 'news-settings-row';
+            const name = document.createElement('span');
+            name.textContent = entry.emoji ? `${entry.emoji} ${entry.label}` : entry.label;
+            const weight = document.createElement('input');
+            weight.type = 'number';
+            weight.min = '0';
+            weight.max = '5';
+            weight.step = '1';
+            weight.value = String(this.options.mix[entry.service] || 0);
+            weight.addEventListener('change', () => {
+                const value = Math.min(5, Math.max(0, parseInt(weight.value, 10) || 0));
+                weight.value = String(value);
+                this.options.mix = { ...this.options.mix, [entry.service]: value };
+                this.preferences.mix = this.options.mix;
+                this.savePreferences();
+                if (this.options.mode === 'mixed') this.loadHeadlines();
+            });
+            row.appendChild(name);
+            row.appendChild(weight);
+            mixEl.appendChild(row);
+        });
+    }
+
+    // Sources hidden from the preview card, each with a button to bring it back
+    renderHiddenSources() {
+        const hiddenEl = document.getElementById('news-settings-hidden');
+        if (!hiddenEl) return;
+        const hidden = (this.preferences && this.preferences.hiddenSources) || [];
+        hiddenEl.innerHTML = '';
+        hiddenEl.style.display = hidden.length > 0 ? '' : 'none';
+        if (hidden.length === 0) return;
+        const heading = document.createElement('span');
+        heading.textContent = 'Hidden sources';
+        hiddenEl.appendChild(heading);
+        hidden.forEach(source => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'news-settings-chip';
+            button.textContent = `${source} ✕`;
+            button.title = `Show ${source} again`;
+            button.addEventListener('click', (e) => {
+                // The chip is gone by the time the click reaches the panel's outside-click check
+                e.stopPropagation();
+                this.unhideSource(source);
+            });
+            hiddenEl.appendChild(button);
+        });
+    }
+
+    renderKeywordRules() {
+        const rulesEl = document.getElementById('news-settings-rules');
+        if (!rulesEl) return;
+        const labels = { highlight: 'Highlight', front: 'To front', mute: 'Mute' };
+        rulesEl.innerHTML = '';
+        this.keywordRules().forEach(rule => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `news-settings-chip news-settings-rule-${rule.action}`;
+            button.textContent = `"${rule.keyword}" · ${labels[rule.action]} ✕`;
+            button.title = `Remove the rule for "${rule.keyword}"`;
+            button.addEventListener('click', (e) => {
+                // The chip is gone by the time the click reaches the panel's outside-click check
+                e.stopPropagation();
+                this.removeKeywordRule(rule);
+            });
+            rulesEl.appendChild(button);
+        });
+    }
+
+    // Show the weights only in 'mixed' mode and the loop count only in 'rotate' mode
+    updateModeControls() {
+        const mixEl = document.getElementById('news-settings-mix');
+        const rotateRow = document.getElementById('news-settings-rotate-row');
+        if (mixEl) mixEl.style.display = this.options.mode === 'mixed' ? '' : 'none';
+        if (rotateRow) rotateRow.style.display = this.options.mode === 'rotate' ? '' : 'none';
+    }
+
+    setMode(mode) {
+        if (!NewsTicker.MODES.includes(mode)) {
+            console.warn(`Unknown ticker mode: ${mode}`);
+            return;
+        }
+        this.options.mode = mode;
+        this.loopCount = 0;
+        this.updateModeControls();
+        const btn = this.container && this.container.querySelector('#news-service-btn');
+        if (btn && !this.isLoading) btn.textContent = this.serviceButtonLabel();
+        console.log(`🔀 Ticker mode: ${mode}`);
+    }
+
+    serviceButtonLabel() {
+        if (this.options.mode === 'mixed') return '🔀 Mixed';
+        const entry = this.serviceCycle[this.currentServiceIndex];
+        return entry ? entry.label : 'Sports';
+    }
+
     setupSettingsPanel() {
         this.preferences = this.preferences || {
             visible: true,
             service: 'sports',
             headlineColor: '#ffffff',
-            speed: this.options.speed
+            speed: this.options.speed,
+            direction: this.options.direction,
+            mode: this.options.mode,
+            mix: this.options.mix,
+            rotateLoops: this.options.rotateLoops
         };
 
         // Build panel in document.body to ensure top-level stacking context
@@ -220,16 +947,23 @@ class NewsTicker {
                         <input type="checkbox" id="news-settings-visible" checked />
                     </label>
                     <label class="news-settings-row">
-                        <span>Section</span>
-                        <select id="news-settings-service">
-                            <option value="sports">Sports</option>
-                            <option value="local">Local</option>
-                            <option value="news">News</option>
-                            <option value="weather">Weather</option>
-                            <option value="tweets">Tweets</option>
-                            <option value="entertainment">Entertainment</option>
+                        <span>Mode</span>
+                        <select id="news-settings-mode">
+                            <option value="single">One section</option>
+                            <option value="mixed">Mixed sections</option>
+                            <option value="rotate">Auto-rotate</option>
                         </select>
                     </label>
+                    <label class="news-settings-row">
+                        <span>Section</span>
+                        <select id="news-settings-service"></select>
+                    </label>
+                    <div id="news-settings-mix" class="news-settings-mix"></div>
+                    <label class="news-settings-row" id="news-settings-rotate-row">
+                        <span>Rotate every</span>
+                        <input type="number" id="news-settings-rotate" min="1" max="20" step="1" />
+                        <span class="news-settings-value">loops</span>
+                    </label>
                     <label class="news-settings-row">
                         <span>Headline Color</span>
                         <input type="color" id="news-settings-color" value="#ffffff" />
@@ -239,26 +973,67 @@ class NewsTicker {
                         <input type="range" id="news-settings-speed" min="20" max="200" step="2" />
                         <span id="news-settings-speed-value" class="news-settings-value"></span>
                     </label>
+                    <div id="news-settings-hidden" class="news-settings-hidden"></div>
+                    <div class="news-settings-keywords">
+                        <span>Keyword rules</span>
+                        <div id="news-settings-rules" class="news-settings-rules"></div>
+                        <form id="news-settings-rule-form" class="news-settings-rule-form">
+                            <input type="text" id="news-settings-rule-keyword" placeholder="e.g. Home Park" maxlength="60" aria-label="Keyword" />
+                            <select id="news-settings-rule-action" aria-label="Action">
+                                <option value="highlight">Highlight</option>
+                                <option value="front">To front</option>
+                                <option value="mute">Mute</option>
+                            </select>
+                            <button type="submit">Add</button>
+                        </form>
+                        <label class="news-settings-row">
+                            <span>Notify on highlights</span>
+                            <input type="checkbox" id="news-settings-notify" />
+                        </label>
+                    </div>
+                    <label class="news-settings-row">
+                        <span>Direction</span>
+                        <select id="news-settings-direction">
+                            <option value="ltr">← Scroll left</option>
+                            <option value="rtl">→ Scroll right</option>
+                            <option value="flip">↑ Flip</option>
+                        </select>
+                    </label>
                 </div>`;
             document.body.appendChild(panel);
         }
 
+        this.renderServiceOptions();
+        this.renderMixOptions();
+        this.renderHiddenSources();
+        this.renderKeywordRules();
+
         const closeBtn = panel.querySelector('#news-settings-close');
         const visibleEl = panel.querySelector('#news-settings-visible');
         const serviceEl = panel.querySelector('#news-settings-service');
         const colorEl = panel.querySelector('#news-settings-color');
         const speedEl = panel.querySelector('#news-settings-speed');
         const speedVal = panel.querySelector('#news-settings-speed-value');
+        const directionEl = panel.querySelector('#news-settings-direction');
+        const modeEl = panel.querySelector('#news-settings-mode');
+        const rotateEl = panel.querySelector('#news-settings-rotate');
+        const ruleForm = panel.querySelector('#news-settings-rule-form');
+        const notifyEl = panel.querySelector('#news-settings-notify');
         const resetBtn = panel.querySelector('#news-settings-reset');
 
         // Initialize controls from preferences
         if (visibleEl) visibleEl.checked = !!this.preferences.visible;
-        if (serviceEl) serviceEl.value = this.preferences.service || 'sports';
+        if (serviceEl) serviceEl.value = this.preferences.service || this.serviceCycle[0].service;
         if (colorEl) colorEl.value = this.preferences.headlineColor || '#ffffff';
         if (speedEl) {
             speedEl.value = String(this.preferences.speed || this.options.speed);
             if (speedVal) speedVal.textContent = `${speedEl.value}px/s`;
         }
+        if (directionEl) directionEl.value = this.preferences.direction || this.options.direction;
+        if (modeEl) modeEl.value = this.options.mode;
+        if (rotateEl) rotateEl.value = String(this.options.rotateLoops);
+        if (notifyEl) notifyEl.checked = !!this.preferences.notifyAlerts;
+        this.updateModeControls();
 
         // Wire up events
         if (closeBtn) closeBtn.addEventListener('click', () => this.closeSettingsPanel());
@@ -269,6 +1044,12 @@ class NewsTicker {
         });
         if (serviceEl) serviceEl.addEventListener('change', async () => {
             const selected = serviceEl.value;
+            // Picking one section leaves the mix
+            if (this.options.mode === 'mixed') {
+                this.setMode('single');
+                this.preferences.mode = 'single';
+                if (modeEl) modeEl.value = 'single';
+            }
             await this.switchToService(selected);
             this.preferences.service = selected;
             this.savePreferences();
@@ -292,11 +1073,42 @@ class NewsTicker {
             this.preferences.speed = v;
             this.savePreferences();
         });
+        if (directionEl) directionEl.addEventListener('change', () => {
+            this.setDirection(directionEl.value);
+            this.preferences.direction = this.options.direction;
+            this.savePreferences();
+        });
+        if (modeEl) modeEl.addEventListener('change', () => {
+            const wasMixed = this.options.mode === 'mixed';
+            this.setMode(modeEl.value);
+            this.preferences.mode = this.options.mode;
+            this.savePreferences();
+            // Only going into or out of the mix changes what is on the ticker
+            if (wasMixed !== (this.options.mode === 'mixed')) this.refresh();
+        });
+        if (ruleForm) ruleForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const keywordEl = panel.querySelector('#news-settings-rule-keyword');
+            const actionEl = panel.querySelector('#news-settings-rule-action');
+            if (this.addKeywordRule(keywordEl.value, actionEl.value)) keywordEl.value = '';
+        });
+        if (notifyEl) notifyEl.addEventListener('change', async () => {
+            this.preferences.notifyAlerts = notifyEl.checked && await this.requestNotificationPermission();
+            notifyEl.checked = this.preferences.notifyAlerts;
+            this.savePreferences();
+        });
+        if (rotateEl) rotateEl.addEventListener('change', () => {
+            const loops = Math.min(20, Math.max(1, parseInt(rotateEl.value, 10) || this.options.rotateLoops));
+            rotateEl.value = String(loops);
+            this.options.rotateLoops = loops;
+            this.preferences.rotateLoops = loops;
+            this.savePreferences();
+        });
         
         if (resetBtn) resetBtn.addEventListener('click', () => {
             this.resetToSports();
             // Update the dropdown to show sports
-            if (serviceEl) serviceEl.value = 'sports';
+            if (serviceEl) serviceEl.value = this.serviceCycle[0].service;
         });
 
         // Close panel when clicking outside
@@ -422,15 +1234,17 @@ class NewsTicker {
     // Function to reset to sports and clear cache
     resetToSports() {
         this.currentServiceIndex = 0;
-        this.currentService = 'sports';
-        this.preferences.service = 'sports';
+        this.currentService = this.serviceCycle[0].service;
+        this.preferences.service = this.currentService;
         this.preferences.headlineColor = '#ffffff';
         this.preferences.speed = 60;
+        this.preferences.mode = 'single';
+        this.setMode('single');
         this.savePreferences();
         
         // Update button text
         const btn = this.container.querySelector('#news-service-btn');
-        if (btn) btn.textContent = 'Sports';
+        if (btn) btn.textContent = this.serviceCycle[0].label;
         
         // Reset headline color and speed
         this.setHeadlineColor('#ffffff');
@@ -442,8 +1256,10 @@ class NewsTicker {
             const colorEl = panel.querySelector('#news-settings-color');
             const speedEl = panel.querySelector('#news-settings-speed');
             const speedVal = panel.querySelector('#news-settings-speed-value');
+            const modeEl = panel.querySelector('#news-settings-mode');
             if (colorEl) colorEl.value = '#ffffff';
             if (speedEl) speedEl.value = '60';
+            if (modeEl) modeEl.value = 'single';
             if (speedVal) speedVal.textContent = '60px/s';
         }
         
@@ -463,6 +1279,12 @@ class NewsTicker {
         if (!this.preferences) return;
         if (typeof this.preferences.visible === 'boolean') this.setTickerVisible(this.preferences.visible);
         if (typeof this.preferences.speed === 'number') this.setSpeed(this.preferences.speed);
+        if (NewsTicker.DIRECTIONS.includes(this.preferences.direction)) this.setDirection(this.preferences.direction);
+        if (this.preferences.mix && typeof this.preferences.mix === 'object') this.options.mix = this.preferences.mix;
+        if (typeof this.preferences.rotateLoops === 'number') this.options.rotateLoops = this.preferences.rotateLoops;
+        this.renderMixOptions();
+        this.renderHiddenSources();
+        this.renderKeywordRules();
         if (typeof this.preferences.headlineColor === 'string') this.setHeadlineColor(this.preferences.headlineColor);
         
         // Apply saved service preference if it exists and is valid
@@ -475,23 +1297,26 @@ class NewsTicker {
                 if (btn) btn.textContent = this.serviceCycle[idx].label;
                 console.log(`🔄 Applied saved service preference: ${this.preferences.service} (index: ${idx})`);
             } else {
-                // Invalid service preference, reset to sports
+                // Invalid service preference (e.g. removed from services.json), reset to the first section
                 this.currentServiceIndex = 0;
-                this.currentService = 'sports';
-                this.preferences.service = 'sports';
+                this.currentService = this.serviceCycle[0].service;
+                this.preferences.service = this.currentService;
                 this.savePreferences();
                 const btn = this.container.querySelector('#news-service-btn');
-                if (btn) btn.textContent = 'Sports';
-                console.log(`🔄 Invalid service preference, reset to Sports`);
+                if (btn) btn.textContent = this.serviceCycle[0].label;
+                console.log(`🔄 Invalid service preference, reset to ${this.serviceCycle[0].label}`);
             }
         } else {
-            // No service preference - start with sports
+            // No service preference - start with the first section
             this.currentServiceIndex = 0;
-            this.currentService = 'sports';
+            this.currentService = this.serviceCycle[0].service;
             const btn = this.container.querySelector('#news-service-btn');
-            if (btn) btn.textContent = 'Sports';
-            console.log(`🔄 No service preference, starting with Sports`);
+            if (btn) btn.textContent = this.serviceCycle[0].label;
+            console.log(`🔄 No service preference, starting with ${this.serviceCycle[0].label}`);
         }
+
+        // After the service, so the button shows "Mixed" rather than the section
+        if (NewsTicker.MODES.includes(this.preferences.mode)) this.setMode(this.preferences.mode);
     }
 
     setHeadlineColor(color) {
@@ -509,13 +1334,14 @@ class NewsTicker {
         const colorEl = panel.querySelector('#news-settings-color');
         const speedEl = panel.querySelector('#news-settings-speed');
         const speedVal = panel.querySelector('#news-settings-speed-value');
+        const directionEl = panel.querySelector('#news-settings-direction');
         const prefs = this.preferences || {};
         
         if (visibleEl) visibleEl.checked = !!prefs.visible;
         
         // Always sync the dropdown to the current service for real-time updates
         if (serviceEl) {
-            serviceEl.value = this.currentService || 'sports';
+            serviceEl.value = this.currentService || this.serviceCycle[0].service;
             console.log(`🔄 Synced settings dropdown to: ${this.currentService}`);
         }
         
@@ -525,6 +1351,19 @@ class NewsTicker {
             speedEl.value = String(v);
             if (speedVal) speedVal.textContent = `${v}px/s`;
         }
+        if (directionEl) directionEl.value = this.options.direction;
+
+        const modeEl = panel.querySelector('#news-settings-mode');
+        const rotateEl = panel.querySelector('#news-settings-rotate');
+        if (modeEl) modeEl.value = this.options.mode;
+        if (rotateEl) rotateEl.value = String(this.options.rotateLoops);
+        const notifyEl = panel.querySelector('#news-settings-notify');
+        if (notifyEl) notifyEl.checked = !!prefs.notifyAlerts;
+        panel.querySelectorAll('#news-settings-mix input').forEach((input, index) => {
+            const entry = this.serviceCycle[index];
+            if (entry) input.value = String(this.options.mix[entry.service] || 0);
+        });
+        this.updateModeControls();
     }
 
     cycleToNextService() {
@@ -598,87 +1437,41 @@ class NewsTicker {
             }
         }
         
+        // What a reload of the same section already showed, to announce only what is new
+        const previousIds = this.renderedFor === this.cacheKey()
+            ? new Set(this.headlines.map(headline => headline.id).filter(Boolean))
+            : null;
+
+        if (this.options.mode === 'mixed') {
+            return this.loadMixedHeadlines(previousIds);
+        }
+
         try {
             // Clear existing headlines immediately when switching services
             this.headlines = [];
-            
-            // Build endpoint based on selected service
-            let endpoint = this.options.endpoint;
-            if (this.currentService && this.currentService !== 'news') {
-                endpoint = `${this.options.endpoint}?service=${this.currentService}`;
-            }
-
-            console.log(`🔄 Loading headlines for service: ${this.currentService} from ${endpoint}`);
 
-            const response = await fetch(endpoint);
-            if (!response.ok) throw new Error(`HTTP ${response.status}`);
-            
-            const headlines = await response.json();
-            console.log(`✅ Received ${headlines.length} headlines for ${this.currentService}`);
-            
-            // Sort headlines with Plymouth sources first, then by timestamp (most recent first)
-            // Filter and prioritize for 'local' to avoid Herald block of older items at the top
-            const filtered = (this.currentService === 'local') ? (() => {
-                const list = headlines.filter(h => {
-                    const src = (h.source || '').toLowerCase();
-                    const title = (h.title || '').toLowerCase();
-                    // Drop manual placeholder and obvious sports
-                    if (src === 'manual') return false;
-                    const isHerald = src.includes('plymouthherald');
-                    const isSports = title.includes('argyle') || title.includes('sport') || title.includes('football');
-                    if (isHerald && isSports) return false;
-                    return true;
-                });
-
-                const getPriority = (h) => {
-                    const src = (h.source || '').toLowerCase();
-                    const url = (h.url || '').toLowerCase();
-                    const isHerald = src.includes('plymouthherald');
-                    if (!isHerald) return 0; // non-Herald first
-                    // Strict Herald local paths next
-                    const heraldStrictLocal = url.includes('/news/plymouth-news/') || url.includes('/news/local-news/');
-                    return heraldStrictLocal ? 1 : 2; // other Herald last
-                };
+            const headlines = await this.fetchServiceHeadlines(this.currentService);
 
-                return list.sort((a, b) => {
-                    // Sports page keeps its own priority elsewhere
-                    if (this.currentService === 'sports') return 0;
-                    const pa = getPriority(a);
-                    const pb = getPriority(b);
-                    if (pa !== pb) return pa - pb;
-                    // Within same group, prefer most recent
-                    return (b.ts || 0) - (a.ts || 0);
-                });
-            })() : headlines;
-
-            this.headlines = filtered
-                .sort((a, b) => {
-                    // Priority 1: Plymouth Sports sources first (sports only)
-                    if (this.currentService === 'sports') {
-                        const aIsPlymouth = (a.source || '').toLowerCase().includes('plymouth') || 
-                                          (a.source || '').toLowerCase().includes('pafc');
-                        const bIsPlymouth = (b.source || '').toLowerCase().includes('plymouth') || 
-                                          (b.source || '').toLowerCase().includes('pafc');
-                        if (aIsPlymouth && !bIsPlymouth) return -1;
-                        if (!aIsPlymouth && bIsPlymouth) return 1;
-                    }
-                    // Fallback: recency
-                    return (b.ts || 0) - (a.ts || 0);
-                })
-                .slice(0, this.options.maxHeadlines);
+            // The server ranks each service (see the *.ranking.json files), so keep its order
+            this.headlines = headlines.slice(0, this.options.maxHeadlines);
             
             this.offlineMode = false;
             this.offlineBadge.style.display = 'none';
             
             this.renderHeadlines();
             this.lastUpdate = Date.now();
+            this.reportNewHeadlines(this.freshHeadlines(previousIds));
             
             console.log(`📰 Rendered ${this.headlines.length} headlines for ${this.currentService}`);
 
+            // Follow this service's refreshes live from here on
+            this.connectStream();
+
         } catch (error) {
             console.warn('Failed to fetch headlines, using cached data:', error.message);
             this.offlineMode = true;
             this.offlineBadge.style.display = 'block';
+            this.disconnectStream();
 
             // Clear current headlines to avoid reusing previous service data
             this.headlines = [];
@@ -698,9 +1491,220 @@ class NewsTicker {
         }
     }
 
+    // The endpoint with its path rewritten and its query (e.g. ?lang=en) kept
+    siblingEndpoint(endpoint, rewritePath) {
+        const url = new URL(endpoint, typeof location !== 'undefined' ? location.href : 'http://localhost/');
+        url.pathname = rewritePath(url.pathname);
+        return url.toString();
+    }
+
+    async fetchServiceHeadlines(service) {
+        // Build endpoint based on selected service, keeping any query the endpoint already has
+        const endpoint = new URL(this.options.endpoint, location.href);
+        endpoint.searchParams.set('format', 'array');
+        if (service && service !== 'news') {
+            endpoint.searchParams.set('service', service);
+        }
+
+        console.log(`🔄 Loading headlines for service: ${service} from ${endpoint}`);
+
+        const response = await fetch(endpoint);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        // Bare array from format=array; older servers ignore it, newer ones may wrap in an envelope
+        const json = await response.json();
+        const headlines = Array.isArray(json) ? json : (json.items || []);
+        console.log(`✅ Received ${headlines.length} headlines for ${service}`);
+        return headlines;
+    }
+
+    // The sections with a weight in options.mix, in the service cycle's order
+    mixSections() {
+        return this.serviceCycle
+            .filter(entry => this.options.mix[entry.service] > 0)
+            .map(entry => ({ ...entry, weight: this.options.mix[entry.service] }));
+    }
+
+    // 'mixed' mode: every weighted section at once. Live streams follow a single service,
+    // so the mix is kept fresh by the periodic reload instead.
+    async loadMixedHeadlines(previousIds = null) {
+        this.disconnectStream();
+        this.headlines = [];
+
+        const sections = this.mixSections();
+        const results = await Promise.allSettled(sections.map(section => this.fetchServiceHeadlines(section.service)));
+        const loaded = sections.map((section, index) => {
+            const result = results[index];
+            if (result.status === 'rejected') {
+                console.warn(`Failed to fetch ${section.service} for the mix:`, result.reason.message);
+                return { ...section, headlines: [] };
+            }
+            return { ...section, headlines: result.value.map(headline => ({ ...headline, service: section.service })) };
+        });
+
+        if (loaded.every(section => section.headlines.length === 0)) {
+            console.warn('No section of the mix could be fetched, using cached data');
+            this.offlineMode = true;
+            this.offlineBadge.style.display = 'block';
+            this.loadFromCache();
+            return;
+        }
+
+        this.offlineMode = false;
+        this.offlineBadge.style.display = 'none';
+        this.headlines = this.interleaveHeadlines(loaded);
+        this.renderHeadlines();
+        this.lastUpdate = Date.now();
+        this.reportNewHeadlines(this.freshHeadlines(previousIds));
+        console.log(`🔀 Mixed ${this.headlines.length} headlines from ${loaded.map(section => section.service).join(', ')}`);
+    }
+
+    // Weighted round robin: each pass takes `weight` headlines from every section in turn, so
+    // { sports: 2, local: 1 } gives sports, sports, local, sports, sports, local... A headline
+    // already taken from another section is skipped.
+    interleaveHeadlines(sections) {
+        const queues = sections.map(section => ({ ...section, next: 0 }));
+        const seen = new Set();
+        const mixed = [];
+        while (mixed.length < this.options.maxHeadlines && queues.some(queue => queue.next < queue.headlines.length)) {
+            queues.forEach(queue => {
+                let taken = 0;
+                while (taken < queue.weight && queue.next < queue.headlines.length) {
+                    const headline = queue.headlines[queue.next++];
+                    const key = headline.id || `${headline.title}|${headline.url}`;
+                    if (seen.has(key)) continue;
+                    seen.add(key);
+                    mixed.push(headline);
+                    taken++;
+                }
+            });
+        }
+        return mixed.slice(0, this.options.maxHeadlines);
+    }
+
+    connectStream() {
+        if (!this.options.stream || typeof EventSource === 'undefined') return;
+        if (this.eventSource && this.streamService === this.currentService) return;
+
+        this.disconnectStream();
+        const service = this.currentService;
+        const url = new URL(this.options.streamEndpoint, location.href);
+        url.searchParams.set('service', service);
+        this.eventSource = new EventSource(url);
+        this.streamService = service;
+
+        this.eventSource.addEventListener('diff', (event) => {
+            try {
+                const diff = JSON.parse(event.data);
+                if (diff.service !== this.currentService) return;
+                console.log(`📡 Live update for ${service}: +${diff.added.length} -${diff.removed.length}`);
+                this.applyHeadlineDiff(diff);
+            } catch (error) {
+                console.warn('Ignoring malformed stream event:', error.message);
+            }
+        });
+        // EventSource reconnects by itself; the periodic reload catches anything missed meanwhile
+        this.eventSource.onerror = () => console.warn(`📡 Stream for ${service} interrupted, retrying...`);
+
+        console.log(`📡 Subscribed to live updates for ${service}`);
+    }
+
+    disconnectStream() {
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+            this.streamService = null;
+        }
+    }
+
+    // Splice a stream diff into the running scroll without restarting it: new headlines go
+    // just past the edge the scroll brings into view (or right after the current headline
+    // in 'flip' mode), and the position is shifted so that whatever is on screen stays put
+    applyHeadlineDiff(diff) {
+        const removed = new Set(diff.removed || []);
+        const knownIds = new Set(this.headlines.map(headline => headline.id));
+        const added = this.filterHeadlines(diff.added || []).filter(headline => !knownIds.has(headline.id));
+        const remaining = this.headlines.filter(headline => !removed.has(headline.id));
+        if (added.length === 0 && remaining.length === this.headlines.length) return;
+
+        const items = this.tickerList ? Array.from(this.tickerList.children) : [];
+        // A "to front" keyword match belongs at the head of the loop, not wherever the scroll is
+        const toFront = added.some(headline => this.ruleActionFor(headline) === 'front');
+        if (remaining.length === 0 || items.length === 0 || toFront) {
+            this.headlines = this.prioritizeHeadlines([...added, ...remaining]).slice(0, this.options.maxHeadlines);
+            this.renderHeadlines();
+            if (toFront) this.reportNewHeadlines(added.filter(headline => this.headlines.includes(headline)));
+            return;
+        }
+
+        const direction = this.options.direction;
+        const isKept = el => !removed.has(el.getAttribute('data-id'));
+        // Headlines are rendered twice for the seamless loop, so splice both copies alike
+        const half = items.length / 2;
+        let anchor;
+        let insertAt;
+        if (direction === 'flip') {
+            anchor = items.slice(this.flipIndex).find(isKept);
+            insertAt = Math.min(this.flipIndex + 1, half);
+        } else {
+            // Scrolling right, the next headlines wait beyond the left edge instead
+            const viewStart = -this.currentPosition;
+            const viewEnd = viewStart + this.viewportWidth();
+            const isAhead = direction === 'rtl'
+                ? el => el.offsetLeft < viewEnd
+                : el => el.offsetLeft + el.offsetWidth > viewStart;
+            const isUpcoming = direction === 'rtl'
+                ? el => el.offsetLeft + el.offsetWidth <= viewStart
+                : el => el.offsetLeft >= viewEnd;
+            anchor = items.find(el => isKept(el) && isAhead(el));
+            insertAt = items.slice(0, half).findIndex(el => isKept(el) && isUpcoming(el));
+            if (insertAt === -1) insertAt = half;
+        }
+        const anchorLeft = anchor ? anchor.offsetLeft : 0;
+        const headlineIndex = items.slice(0, insertAt).filter(isKept).length;
+        remaining.splice(headlineIndex, 0, ...added);
+
+        // Past maxHeadlines, drop from the end of the loop, sparing the headline on screen
+        const anchorId = anchor ? anchor.getAttribute('data-id') : null;
+        const overflow = remaining.length - this.options.maxHeadlines;
+        const trimmed = new Set(overflow > 0
+            ? remaining.filter(headline => headline.id !== anchorId).slice(-overflow).map(headline => headline.id)
+            : []);
+
+        added.forEach(headline => {
+            this.tickerList.insertBefore(this.createHeadlineElement(headline), items[insertAt]);
+            this.tickerList.insertBefore(this.markAsCopy(this.createHeadlineElement(headline)), items[half + insertAt] || null);
+        });
+        Array.from(this.tickerList.children)
+            .filter(el => !isKept(el) || trimmed.has(el.getAttribute('data-id')))
+            .forEach(el => el.remove());
+
+        this.headlines = remaining.filter(headline => !trimmed.has(headline.id));
+        Array.from(this.tickerList.children).forEach((el, index) => {
+            el.setAttribute('data-index', index % this.headlines.length);
+        });
+
+        if (direction === 'flip') {
+            this.flipIndex = anchor ? Array.from(this.tickerList.children).indexOf(anchor) % this.headlines.length : 0;
+        } else if (anchor) {
+            this.currentPosition -= anchor.offsetLeft - anchorLeft;
+        }
+        this.refreshLayout();
+        this.reportNewHeadlines(added.filter(headline => !trimmed.has(headline.id)));
+        if (this.isListViewOpen()) this.renderListView();
+
+        this.saveToCache();
+        this.lastUpdate = Date.now();
+    }
+
+    // The mix is cached as a section of its own
+    cacheKey() {
+        return `news-ticker-cache-${this.options.mode === 'mixed' ? 'mixed' : this.currentService}`;
+    }
+
     loadFromCache() {
         try {
-            const cacheKey = `news-ticker-cache-${this.currentService}`;
+            const cacheKey = this.cacheKey();
             const cached = localStorage.getItem(cacheKey);
             if (cached) {
                 const data = JSON.parse(cached);
@@ -722,7 +1726,7 @@ class NewsTicker {
 
     saveToCache() {
         try {
-            const cacheKey = `news-ticker-cache-${this.currentService}`;
+            const cacheKey = this.cacheKey();
             localStorage.setItem(cacheKey, JSON.stringify({
                 headlines: this.headlines,
                 timestamp: Date.now()
@@ -732,7 +1736,8 @@ class NewsTicker {
         }
     }
 
-    async loadFallbackFromTxt() {
+    // Files for the current service, from the manifest when it provided them
+    getServiceFiles() {
         const map = {
             sports: 'news-sports.txt',
             local: 'news-local.txt',
@@ -741,8 +1746,68 @@ class NewsTicker {
             tweets: 'news-tweets.txt',
             entertainment: 'news-entertainment.txt'
         };
-        const file = map[this.currentService] || 'news.txt';
-        const backupFile = `backup-${file}`;
+        const frontJsonCandidates = {
+            news: ['news.json', 'News.json'],
+            local: ['local.json', 'Local.json'],
+            sports: ['sports.json', 'Sports.json'],
+            weather: ['weather.json', 'Weather.json']
+        };
+        const entry = (this.serviceCycle || []).find(s => s.service === this.currentService) || {};
+        const file = entry.sourceFile || map[this.currentService] || 'news.txt';
+        return {
+            file,
+            backupFile: entry.backupFile || `backup-${file}`,
+            frontJson: entry.frontJson || frontJsonCandidates[this.currentService] || []
+        };
+    }
+
+    // The first front JSON file that loads, read the way server/frontItems.js reads it:
+    // unexpired items as headlines, plus the unexpired `hidden` entries
+    async loadOfflineFrontJson(candidates) {
+        for (const candidate of candidates) {
+            try {
+                let resFront = await fetch(candidate.startsWith('/') ? candidate : `/${candidate}`);
+                if (!resFront.ok) {
+                    resFront = await fetch(candidate);
+                }
+                if (!resFront.ok) continue;
+                const jsonFront = await resFront.json();
+                const arr = Array.isArray(jsonFront) ? jsonFront : (Array.isArray(jsonFront.items) ? jsonFront.items : (Array.isArray(jsonFront.tweets) ? jsonFront.tweets : []));
+                const nowLocal = Date.now();
+                const isLive = entry => !entry.expiresAt || !(new Date(entry.expiresAt).getTime() <= nowLocal);
+                return {
+                    items: arr.filter(isLive).map(it => ({
+                        source: (it.source || this.currentService).toString().toUpperCase(),
+                        title: it.title || it.text || it.headline || `${it.hashtag || ''} @${it.username || 'user'}: ${it.comment || it.text || ''}`.trim(),
+                        url: it.url || (it.username ? `https://twitter.com/${it.username}` : '#'),
+                        ts: it.ts || nowLocal
+                    })),
+                    hidden: (Array.isArray(jsonFront.hidden) ? jsonFront.hidden : []).filter(isLive)
+                };
+            } catch (_) {}
+        }
+        return { items: [], hidden: [] };
+    }
+
+    // Hidden entries name the server's headline id, sha1(title|url); without SubtleCrypto
+    // (plain http off localhost) they are matched on the title they were hidden with
+    async dropHiddenOffline(headlines, hidden) {
+        if (hidden.length === 0) return headlines;
+        const ids = new Set(hidden.map(entry => entry.id));
+        const titles = new Set(hidden.filter(entry => entry.title).map(entry => entry.title.trim()));
+        const subtle = typeof crypto !== 'undefined' && crypto.subtle;
+        const keep = await Promise.all(headlines.map(async headline => {
+            if (titles.has((headline.title || '').trim())) return false;
+            if (!subtle) return true;
+            const digest = await subtle.digest('SHA-1', new TextEncoder().encode(`${headline.title}|${headline.url}`));
+            const id = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+            return !ids.has(id);
+        }));
+        return headlines.filter((headline, index) => keep[index]);
+    }
+
+    async loadFallbackFromTxt() {
+        const { file, backupFile, frontJson } = this.getServiceFiles();
         try {
             // Try backup first (project root then relative)
             let res = await fetch(`/${backupFile}`);
@@ -758,6 +1823,7 @@ class NewsTicker {
             }
             if (!res.ok) throw new Error(`HTTP ${res.status}`);
             const text = await res.text();
+            let hiddenFront = []; // the front JSON's `hidden` entries, dropped once the list is built
             const lines = text
                 .split('\n')
                 .map(l => l.trim())
@@ -809,37 +1875,8 @@ class NewsTicker {
                         };
 
                         // Prepend front-section JSON if available locally (news.json, weather.json, local.json, sports.json)
-                        const frontJsonCandidates = {
-                            news: ['news.json', 'News.json'],
-                            local: ['local.json', 'Local.json'],
-                            sports: ['sports.json', 'Sports.json'],
-                            weather: ['weather.json', 'Weather.json']
-                        };
-
-                        const tryLoadFrontJson = async () => {
-                            const candidates = frontJsonCandidates[this.currentService] || [];
-                            for (const candidate of candidates) {
-                                try {
-                                    let resFront = await fetch(candidate.startsWith('/') ? candidate : `/${candidate}`);
-                                    if (!resFront.ok) {
-                                        resFront = await fetch(candidate);
-                                    }
-                                    if (!resFront.ok) continue;
-                                    const jsonFront = await resFront.json();
-                                    const arr = Array.isArray(jsonFront) ? jsonFront : (Array.isArray(jsonFront.items) ? jsonFront.items : (Array.isArray(jsonFront.tweets) ? jsonFront.tweets : []));
-                                    const nowLocal = Date.now();
-                                    return arr.map(it => ({
-                                        source: (it.source || this.currentService).toString().toUpperCase(),
-                                        title: it.title || it.text || it.headline || `${it.hashtag || ''} @${it.username || 'user'}: ${it.comment || it.text || ''}`.trim(),
-                                        url: it.url || (it.username ? `https://twitter.com/${it.username}` : '#'),
-                                        ts: it.ts || nowLocal
-                                    }));
-                                } catch (_) {}
-                            }
-                            return [];
-                        };
-
-                        const front = await tryLoadFrontJson();
+                        const { items: front, hidden } = await this.loadOfflineFrontJson(frontJson);
+                        hiddenFront = hidden;
 
                         const mapped = items.slice(0, this.options.maxHeadlines).map(mapItemToHeadline);
                         if (front.length > 0) {
@@ -879,37 +1916,8 @@ class NewsTicker {
                         });
 
                         // Try to prepend front-section JSON locally
-                        const frontJsonCandidates = {
-                            news: ['news.json', 'News.json'],
-                            local: ['local.json', 'Local.json'],
-                            sports: ['sports.json', 'Sports.json'],
-                            weather: ['weather.json', 'Weather.json']
-                        };
-
-                        const tryLoadFrontJson = async () => {
-                            const candidates = frontJsonCandidates[this.currentService] || [];
-                            for (const candidate of candidates) {
-                                try {
-                                    let resFront = await fetch(candidate.startsWith('/') ? candidate : `/${candidate}`);
-                                    if (!resFront.ok) {
-                                        resFront = await fetch(candidate);
-                                    }
-                                    if (!resFront.ok) continue;
-                                    const jsonFront = await resFront.json();
-                                    const arr = Array.isArray(jsonFront) ? jsonFront : (Array.isArray(jsonFront.items) ? jsonFront.items : (Array.isArray(jsonFront.tweets) ? jsonFront.tweets : []));
-                                    const nowLocal = Date.now();
-                                    return arr.map(it => ({
-                                        source: (it.source || this.currentService).toString().toUpperCase(),
-                                        title: it.title || it.text || it.headline || `${it.hashtag || ''} @${it.username || 'user'}: ${it.comment || it.text || ''}`.trim(),
-                                        url: it.url || (it.username ? `https://twitter.com/${it.username}` : '#'),
-                                        ts: it.ts || nowLocal
-                                    }));
-                                } catch (_) {}
-                            }
-                            return [];
-                        };
-
-                        const front = await tryLoadFrontJson();
+                        const { items: front, hidden } = await this.loadOfflineFrontJson(frontJson);
+                        hiddenFront = hidden;
                         const mapped = items.slice(0, this.options.maxHeadlines).map(mapItemToHeadline);
                         if (front.length > 0) {
                             const key = h => `${(h.title || '').trim()}|${(h.url || '').trim()}`;
@@ -938,32 +1946,8 @@ class NewsTicker {
 
                 // Attempt to prepend front JSON even for plain lines fallback
                 try {
-                    const frontJsonCandidates = {
-                        news: ['news.json', 'News.json'],
-                        local: ['local.json', 'Local.json'],
-                        sports: ['sports.json', 'Sports.json'],
-                        weather: ['weather.json', 'Weather.json']
-                    };
-                    const candidates = frontJsonCandidates[this.currentService] || [];
-                    let front = [];
-                    for (const candidate of candidates) {
-                        try {
-                            let resFront = await fetch(candidate.startsWith('/') ? candidate : `/${candidate}`);
-                            if (!resFront.ok) {
-                                resFront = await fetch(candidate);
-                            }
-                            if (!resFront.ok) continue;
-                            const jsonFront = await resFront.json();
-                            const arr = Array.isArray(jsonFront) ? jsonFront : (Array.isArray(jsonFront.items) ? jsonFront.items : (Array.isArray(jsonFront.tweets) ? jsonFront.tweets : []));
-                            front = arr.map(it => ({
-                                source: (it.source || this.currentService).toString().toUpperCase(),
-                                title: it.title || it.text || it.headline || `${it.hashtag || ''} @${it.username || 'user'}: ${it.comment || it.text || ''}`.trim(),
-                                url: it.url || (it.username ? `https://twitter.com/${it.username}` : '#'),
-                                ts: it.ts || now
-                            }));
-                            break;
-                        } catch (_) {}
-                    }
+                    const { items: front, hidden } = await this.loadOfflineFrontJson(frontJson);
+                    hiddenFront = hidden;
                     if (front.length > 0) {
                         const key = h => `${(h.title || '').trim()}|${(h.url || '').trim()}`;
                         const seen = new Set(front.map(key));
@@ -977,6 +1961,7 @@ class NewsTicker {
                 }
             }
 
+            this.headlines = await this.dropHiddenOffline(this.headlines, hiddenFront);
             console.info(`Loaded ${this.headlines.length} fallback headlines from ${res.url.includes('backup-') ? backupFile : file}`);
         } catch (e) {
             console.warn('Fallback .txt load failed:', e.message);
@@ -984,6 +1969,14 @@ class NewsTicker {
     }
 
     renderHeadlines() {
+        if (this.previewItem) this.hidePreview();
+
+        this.headlines = this.prioritizeHeadlines(this.filterHeadlines(this.headlines));
+        if (this.tickerList && this.headlines.length === 0) {
+            // e.g. everything came from hidden sources
+            this.tickerList.innerHTML = '';
+        }
+
         if (!this.tickerList || this.headlines.length === 0) {
             console.log('⚠️ No headlines to render or ticker list not found');
             return;
@@ -995,25 +1988,7 @@ class NewsTicker {
         this.tickerList.innerHTML = '';
 
         // Create headline elements
-        const headlineElements = this.headlines.map((headline, index) => {
-            const element = document.createElement('div');
-            element.className = 'news-ticker-item';
-            element.innerHTML = `
-                <span class="news-source">${this.sanitizeText(headline.source)}</span>
-                <span class="news-separator">•</span>
-                <a href="${headline.url}" target="_blank" class="news-title-link">
-                    <span class="news-title">${this.sanitizeText(headline.title)}</span>
-                </a>
-                <span class="news-time">${this.formatTimeAgo(headline.ts)}</span>
-            `;
-            
-            // Add data attributes for debugging
-            element.setAttribute('data-index', index);
-            element.setAttribute('data-service', this.currentService);
-            element.setAttribute('data-timestamp', headline.ts);
-            
-            return element;
-        });
+        const headlineElements = this.headlines.map((headline, index) => this.createHeadlineElement(headline, index));
 
         // Populate with new headlines
         headlineElements.forEach(element => {
@@ -1022,18 +1997,81 @@ class NewsTicker {
 
         // Duplicate for seamless loop
         headlineElements.forEach(element => {
-            this.tickerList.appendChild(element.cloneNode(true));
+            this.tickerList.appendChild(this.markAsCopy(element.cloneNode(true)));
         });
 
         // Save to service-specific cache
         this.saveToCache();
 
-        // Reset position for new content
-        this.currentPosition = 0;
+        // Start over from the first headline
+        this.renderedFor = this.cacheKey();
+        this.resetPosition();
+        if (this.isListViewOpen()) this.renderListView();
         
         console.log(`✅ Successfully rendered ${headlineElements.length * 2} headline elements for ${this.currentService}`);
     }
 
+    createHeadlineElement(headline, index = 0) {
+        const element = document.createElement('div');
+        element.className = 'news-ticker-item';
+        // Links are reached with the arrow keys, so the whole ticker is a single Tab stop
+        element.setAttribute('role', 'listitem');
+        if (this.isKeywordAlert(headline)) element.classList.add('news-ticker-alert');
+        // In the mix each headline is labelled with its section, and the section's emoji
+        // stands in for the separator
+        const section = this.options.mode === 'mixed' && headline.service
+            ? this.serviceCycle.find(entry => entry.service === headline.service)
+            : null;
+        const sectionLabel = section ? `<span class="news-section-label">${this.sanitizeText(section.label)}</span>` : '';
+        const separator = section && section.emoji ? this.sanitizeText(section.emoji) : '•';
+        element.innerHTML = `
+            ${sectionLabel}
+            <span class="news-source">${this.sanitizeText(headline.source)}</span>
+            <span class="news-separator" aria-hidden="true">${separator}</span>
+            <a target="_blank" class="news-title-link" tabindex="-1">
+                <span class="news-title">${this.sanitizeText(headline.title)}</span>
+            </a>
+            <span class="news-time">${this.formatTimeAgo(headline.ts)}</span>
+        `;
+
+        element.querySelector('.news-title-link').setAttribute('href', this.safeUrl(headline.url));
+
+        // Declared language for fonts and screen readers; the direction lets RTL titles read
+        // right to left inside the item while the track keeps scrolling as before
+        if (headline.lang) element.setAttribute('lang', headline.lang);
+        element.setAttribute('dir', headline.lang ? (this.isRtlLanguage(headline.lang) ? 'rtl' : 'ltr') : 'auto');
+
+        // data-id lets live updates find the element again; the rest is for debugging
+        if (headline.id) element.setAttribute('data-id', headline.id);
+        element.setAttribute('data-index', index);
+        element.setAttribute('data-service', headline.service || this.currentService);
+        element.setAttribute('data-timestamp', headline.ts);
+
+        return element;
+    }
+
+    // The second, looping copy of a headline is hidden from screen readers
+    markAsCopy(element) {
+        element.setAttribute('aria-hidden', 'true');
+        return element;
+    }
+
+    // Same list as RTL_LANGUAGES in server/language.js
+    isRtlLanguage(lang) {
+        const primary = String(lang).split('-')[0].toLowerCase();
+        return ['ar', 'arc', 'ckb', 'dv', 'fa', 'he', 'ps', 'sd', 'syr', 'ug', 'ur', 'yi'].includes(primary);
+    }
+
+    // http(s) and same-site links only; anything else (javascript:, data:) becomes '#'
+    safeUrl(url) {
+        try {
+            const parsed = new URL(url, location.href);
+            return ['http:', 'https:'].includes(parsed.protocol) ? url : '#';
+        } catch {
+            return '#';
+        }
+    }
+
     sanitizeText(text) {
         const div = document.createElement('div');
         div.textContent = text;
@@ -1063,34 +2101,132 @@ class NewsTicker {
 
     startAnimation() {
         if (this.animationId) return;
-        
-        const animate = () => {
-            if (this.isPaused) {
-                this.animationId = requestAnimationFrame(animate);
-                return;
-            }
 
-            this.currentPosition -= this.options.speed / 60; // 60fps
+        // Move by the time since the last frame, so the speed is the same at 60Hz, 120Hz or in
+        // a throttled tab. The step is capped so a tab coming back from the background doesn't jump.
+        let lastFrame = null;
+        const animate = (now) => {
+            const seconds = lastFrame === null ? 0 : Math.min((now - lastFrame) / 1000, 1);
+            lastFrame = now;
+            if (!this.isPaused) this.advance(seconds);
+            this.animationId = requestAnimationFrame(animate);
+        };
+
+        this.animationId = requestAnimationFrame(animate);
+    }
 
-            // Check if we need to loop
-            const tickerWidth = this.tickerList.scrollWidth / 2;
-            if (Math.abs(this.currentPosition) >= tickerWidth) {
-                this.currentPosition = 0;
+    advance(seconds) {
+        if (this.options.direction === 'flip') {
+            this.flipElapsed += seconds * 1000;
+            const half = this.tickerList.children.length / 2;
+            while (this.flipElapsed >= this.options.flipInterval && half >= 1) {
+                this.flipElapsed -= this.options.flipInterval;
+                this.flipIndex = (this.flipIndex + 1) % half;
+                if (this.flipIndex === 0) this.completeLoop();
             }
+        } else {
+            // ltr content moves left; rtl moves right
+            this.currentPosition += (this.options.direction === 'rtl' ? 1 : -1) * this.options.speed * seconds;
+            if (this.loopSize > 0 && this.travelled() >= this.loopSize) this.completeLoop();
+        }
+        this.applyPosition();
+    }
 
-            this.ticker.style.transform = `translateX(${this.currentPosition}px)`;
-            this.animationId = requestAnimationFrame(animate);
-        };
+    // Every headline has been round once; 'rotate' mode moves on after rotateLoops of them
+    completeLoop() {
+        this.loopCount++;
+        if (this.options.mode !== 'rotate' || this.loopCount < this.options.rotateLoops || this.isLoading) return;
+        console.log(`🔁 ${this.loopCount} loops of ${this.currentService}, rotating to the next section`);
+        this.loopCount = 0;
+        this.cycleToNextService();
+    }
+
+    // Width of the strip the headlines scroll through, left of the section button
+    viewportWidth() {
+        const content = this.ticker.parentElement;
+        return content.clientWidth - (parseFloat(getComputedStyle(content).paddingRight) || 0);
+    }
+
+    // One loop is the distance from a headline to its copy in the second half, measured
+    // from the items themselves so margins and padding are counted exactly
+    measureLoop() {
+        const items = this.tickerList ? this.tickerList.children : [];
+        const half = items.length / 2;
+        this.loopSize = half >= 1 ? Math.abs(items[half].offsetLeft - items[0].offsetLeft) : 0;
+    }
+
+    // ltr starts with the first headline at the left edge and rtl with it at the right edge
+    loopStart() {
+        if (this.options.direction !== 'rtl') return 0;
+        return this.viewportWidth() - 2 * this.loopSize;
+    }
+
+    // Distance scrolled from the start of the loop
+    travelled() {
+        const start = this.loopStart();
+        return this.options.direction === 'rtl' ? this.currentPosition - start : start - this.currentPosition;
+    }
+
+    resetPosition() {
+        this.flipIndex = 0;
+        this.flipElapsed = 0;
+        this.loopCount = 0;
+        if (!this.ticker) return;
+        this.measureLoop();
+        this.currentPosition = this.loopStart();
+        this.applyPosition();
+    }
+
+    refreshLayout() {
+        if (!this.ticker) return;
+        const content = this.ticker.parentElement;
+        this.container.style.setProperty('--news-ticker-row-height', `${content.clientHeight}px`);
+        this.measureLoop();
+        this.applyPosition();
+    }
+
+    // Wrap the position into a single loop and move the track there
+    applyPosition() {
+        if (!this.ticker) return;
+        if (this.options.direction === 'flip') {
+            this.ticker.style.transform = `translateY(${-this.flipOffset()}px)`;
+            return;
+        }
+        if (this.loopSize > 0) {
+            const start = this.loopStart();
+            const wrapped = (this.travelled() % this.loopSize + this.loopSize) % this.loopSize;
+            this.currentPosition = this.options.direction === 'rtl' ? start + wrapped : start - wrapped;
+        }
+        this.ticker.style.transform = `translateX(${this.currentPosition}px)`;
+    }
 
-        animate();
+    // How far the list has slid up: the current headline, eased towards the next one during
+    // the last moments of its interval
+    flipOffset() {
+        const items = this.tickerList.children;
+        if (items.length < 2) return 0;
+        const index = Math.min(this.flipIndex, items.length - 2);
+        const slide = Math.min(500, this.options.flipInterval / 2);
+        const progress = Math.max(0, (this.flipElapsed - (this.options.flipInterval - slide)) / slide);
+        const eased = progress * progress * (3 - 2 * progress);
+        const top = items[index].offsetTop - items[0].offsetTop;
+        const next = items[index + 1].offsetTop - items[0].offsetTop;
+        return top + (next - top) * eased;
     }
 
-    pause() {
+    // The ticker moves only while nothing holds it: the pause control (or a caller of
+    // pause()), the mouse over it, or keyboard focus inside it
+    pause(reason = 'user') {
+        this.pausedBy.add(reason);
         this.isPaused = true;
         this.container.classList.add('paused');
+        if (reason === 'user') this.updatePauseControl();
     }
 
-    resume() {
+    resume(reason = 'user') {
+        this.pausedBy.delete(reason);
+        if (reason === 'user') this.updatePauseControl();
+        if (this.pausedBy.size > 0) return;
         this.isPaused = false;
         this.container.classList.remove('paused');
     }
@@ -1124,8 +2260,17 @@ class NewsTicker {
     }
 
     destroy() {
+        this.disconnectStream();
+        if (this.onLayoutChange) {
+            window.removeEventListener('resize', this.onLayoutChange);
+            if (document.fonts && document.fonts.removeEventListener) {
+                document.fonts.removeEventListener('loadingdone', this.onLayoutChange);
+            }
+            this.onLayoutChange = null;
+        }
         if (this.animationId) {
             cancelAnimationFrame(this.animationId);
+            this.animationId = null;
         }
         if (this.container) {
             this.container.innerHTML = '';
@@ -1137,11 +2282,23 @@ class NewsTicker {
         this.options.speed = speed;
     }
 
+    // 'ltr' scrolls left, 'rtl' scrolls right and 'flip' shows one headline at a time
     setDirection(direction) {
-        this.options.direction = direction;
-        if (this.ticker) {
-            this.ticker.style.direction = direction;
+        if (!NewsTicker.DIRECTIONS.includes(direction)) {
+            console.warn(`Unknown ticker direction: ${direction}`);
+            return;
         }
+        this.options.direction = direction;
+        this.applyDirection();
+        this.resetPosition();
+    }
+
+    applyDirection() {
+        const container = this.container && this.container.querySelector('.news-ticker-container');
+        if (!container) return;
+        container.classList.toggle('news-ticker-rtl', this.options.direction === 'rtl');
+        container.classList.toggle('news-ticker-flip', this.options.direction === 'flip');
+        this.refreshLayout();
     }
 
     refresh() {
@@ -1155,6 +2312,10 @@ class NewsTicker {
     }
 }
 
+NewsTicker.DIRECTIONS = ['ltr', 'rtl', 'flip'];
+// 'single' shows one section, 'mixed' interleaves several, 'rotate' moves on every few loops
+NewsTicker.MODES = ['single', 'mixed', 'rotate'];
+
 // Global initialization function
 function initNewsTicker(options = {}) {
     return new NewsTicker(options);